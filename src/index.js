@@ -4,15 +4,34 @@ import cors from 'cors';
 import path, { dirname } from 'path';
 import { fileURLToPath } from 'url';
 
-import legacyAttendanceRoutes from './routes/attendance.js';               // legacy router (has /refresh)
+import { createAttendance } from './routes/attendance.js';                  // legacy router (has /refresh)
 import memoryAttendanceRoutes from './routes/attendance.memoryroutes.esm.js'; // new admin/state router
-import { ensureFiles } from './lib/storage.js';
+import adminRoutes from './routes/admin.js';                                  // officer accounts / tokens
+import { ensureFiles, StorageError, ValidationError } from './lib/storage.js';
+import { readTeams, primaryTeam, describeTeam } from './lib/teams.js';
+import { authenticate } from './lib/accounts.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
 
 ensureFiles();
 
+// One legacy + memory router pair per raid team (data/teams.json, or the env guild)
+const teams = readTeams();
+const primary = primaryTeam(teams);
+const perTeam = new Map(teams.map(team => {
+  const attendance = createAttendance(team);
+  const memory = memoryAttendanceRoutes({
+    // OPTIONAL old snapshot (e.g. "./attendance-state.json"), imported once into an empty store
+    persistFile: team === primary ? process.env.LOCAL_STATE_PATH || '' : '',
+    store: attendance.store,                                 // same files as the legacy router
+    knownNames: attendance.knownCharacters,                  // for alt-link warnings
+    homeRealm: team.guild.serverSlug,                        // names without a realm are on this one
+    onChange: (reason) => attendance.requestReaggregate(reason) // re-aggregate cached attendance after edits
+  });
+  return [team.id, { team, attendance, memory }];
+}));
+
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173'
 }));
@@ -20,30 +39,52 @@ app.use(cors({
 // (optional but harmless) JSON body parsing for POSTs
 app.use(express.json());
 
+// Who is calling: req.identity from a personal token (or ATTEND_ADMIN_TOKEN), null if none
+app.use(authenticate);
+
 // Serve static admin UI
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Health
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-// ---- Legacy router (mounted separately) ----
-app.use('/api/legacy', legacyAttendanceRoutes);
+// ---- Officer accounts / API tokens ----
+app.use('/api/admin', adminRoutes);
+
+// ---- Teams: /api/teams/:team/attendance/... (memory routes first, then legacy) ----
+app.get('/api/teams', (_req, res) => res.json({ teams: teams.map(describeTeam), primary: primary.id }));
+for (const { team, attendance, memory } of perTeam.values()) {
+  app.use(`/api/teams/${team.id}/attendance`, memory, attendance.router);
+}
+
+// ---- Legacy router (mounted separately) — primary team ----
+app.use('/api/legacy', perTeam.get(primary.id).attendance.router);
+
+// Background job state (queued/running/recent refreshes)
+app.get('/api/attendance/refresh/status', (_req, res) => res.redirect(307, '/api/legacy/refresh/status'));
 
 // Restore the original refresh URL expected by the frontend
 // This forwards to the legacy router's /refresh handler.
 app.get('/api/attendance/refresh', (req, res) => {
   // 307 preserves the method if it were ever POST; also keeps body/headers intact.
-  res.redirect(307, '/api/legacy/refresh');
+  // Query string (?weeks=, ?from=/to=, ?season=) is carried over.
+  const qs = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+  res.redirect(307, '/api/legacy/refresh' + qs);
 });
 
-// ---- New memory router for admin/state endpoints ----
-app.use('/api/attendance', memoryAttendanceRoutes({
-  adminToken: process.env.ATTEND_ADMIN_TOKEN,              // REQUIRED
-  persistFile: process.env.LOCAL_STATE_PATH || ''          // OPTIONAL (e.g. "./attendance-state.json")
-}));
+// ---- New memory router for admin/state endpoints — primary team ----
+app.use('/api/attendance', perTeam.get(primary.id).memory);
+
+// Unreadable/invalid data files (500), rejected writes (ValidationError, 400)
+// and anything else thrown -> JSON, not an HTML stack page
+app.use((err, _req, res, _next) => {
+  if (!(err instanceof StorageError || err instanceof ValidationError)) console.error(err);
+  res.status(err instanceof StorageError ? 500 : (err.status || 500)).json({ error: err.message || String(err) });
+});
 
 const PORT = Number(process.env.PORT || 4000);
 app.listen(PORT, () => {
   console.log(`Attendance server listening on http://localhost:${PORT}`);
   console.log(`Admin UI: http://localhost:${PORT}/admin.html`);
+  for (const { attendance } of perTeam.values()) attendance.startRefreshScheduler();
 });
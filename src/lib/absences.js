@@ -0,0 +1,83 @@
+// Planned absences submitted by raiders, approved or denied by officers.
+//
+// Storage (per team, see storage.js):
+//   absences      [{ id, name, from, to, reason, status, submittedAt, submittedBy,
+//                    decidedBy, decidedAt, decisionNote }]
+//   absenceLinks  { [name]: { tokenHash, createdAt, createdBy } }
+//
+// Each raider gets a personal link token from an officer. It is shown once
+// (issuing again replaces it) and lets whoever holds it submit and cancel
+// absences for that one character, with no account. Approved absences excuse
+// the raid nights in their range in the computed payload; the team policy
+// (policy.js) decides whether excused nights still count as possible.
+
+import crypto from 'crypto';
+
+export const ABSENCE_STATUSES = ['pending', 'approved', 'denied'];
+// Longest single absence, in days
+export const MAX_ABSENCE_DAYS = 120;
+const MAX_REASON = 500;
+const LINK_PREFIX = 'tab_';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// { token, tokenHash }; only the hash is stored
+export function newLinkToken() {
+  const token = LINK_PREFIX + crypto.randomBytes(18).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+// Name a link token belongs to, or null
+export function linkOwner(links, token) {
+  if (!token || !String(token).startsWith(LINK_PREFIX)) return null;
+  const hash = hashToken(token);
+  return Object.keys(links).find(name => links[name].tokenHash === hash) ?? null;
+}
+
+const dayNumber = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`) / 86_400_000;
+
+// { from, to?, reason } from a request -> validated { from, to, reason }
+export function normalizeAbsenceRequest({ from, to, reason } = {}) {
+  from = String(from || '');
+  to = String(to || from);
+  if (!DATE_RE.test(from) || Number.isNaN(dayNumber(from))) throw new Error('from must be YYYY-MM-DD');
+  if (!DATE_RE.test(to) || Number.isNaN(dayNumber(to))) throw new Error('to must be YYYY-MM-DD');
+  if (to < from) throw new Error('to must not be before from');
+  if (dayNumber(to) - dayNumber(from) + 1 > MAX_ABSENCE_DAYS) throw new Error(`an absence can span at most ${MAX_ABSENCE_DAYS} days`);
+  reason = String(reason || '').trim();
+  if (!reason) throw new Error('reason required');
+  return { from, to, reason: reason.slice(0, MAX_REASON) };
+}
+
+export function newAbsence(name, request, submittedBy) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    ...request,
+    status: 'pending',
+    submittedAt: new Date().toISOString(),
+    submittedBy,
+    decidedBy: null,
+    decidedAt: null,
+    decisionNote: ''
+  };
+}
+
+/**
+ * Approved absences as main -> Map<dateKey, absence> over the given nights.
+ * `mainOf` resolves a stored name the same way the payload does.
+ */
+export function excusedNights(absences, nightKeys, mainOf) {
+  const out = new Map();
+  for (const a of absences) {
+    if (a.status !== 'approved') continue;
+    const m = mainOf(a.name);
+    for (const k of nightKeys) {
+      if (k < a.from || k > a.to) continue;
+      if (!out.has(m)) out.set(m, new Map());
+      out.get(m).set(k, a);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,134 @@
+// Named officer accounts with their own API tokens and roles.
+//
+// data/accounts.json (shared by every team):
+//   [{ id, name, role, tokenHash, createdAt, createdBy, expiresAt|null, revokedAt|null, lastUsedAt|null }]
+//
+// Tokens are random and only returned once, when issued; the file keeps a
+// sha256 of each. ATTEND_ADMIN_TOKEN still works as a built-in "admin"
+// identity so an existing setup (and the very first token) keeps working.
+//
+// Roles, each including the ones before it:
+//   viewer   read exports, state and the audit log
+//   officer  edit overrides, bench, alt links, excluded dates; decide absences; undo single changes
+//   admin    import, schedule/seasons, policy, point-in-time revert, manage tokens
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, writeFileAtomic } from './storage.js';
+
+export const ROLES = ['viewer', 'officer', 'admin'];
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const TOKEN_PREFIX = 'tat_';
+// lastUsedAt is only written when it is at least this stale, to keep reads cheap
+const TOUCH_MS = 1000 * 60 * 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function readAccounts() {
+  try { return JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf-8')); }
+  catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+}
+function writeAccounts(list) {
+  writeFileAtomic(ACCOUNTS_FILE, JSON.stringify(list, null, 2));
+}
+
+const isActive = (a, now = Date.now()) => !a.revokedAt && (!a.expiresAt || Date.parse(a.expiresAt) > now);
+
+// Public view: never includes the hash
+export function describeAccount(a) {
+  const { tokenHash, ...rest } = a;
+  return { ...rest, active: isActive(a) };
+}
+
+/**
+ * Identity for a bearer token, or null.
+ * { id, name, role } — id is null for the ATTEND_ADMIN_TOKEN identity.
+ */
+export function identify(token) {
+  if (!token) return null;
+  const envToken = (process.env.ATTEND_ADMIN_TOKEN || '').trim();
+  if (envToken && token === envToken) return { id: null, name: 'admin', role: 'admin' };
+  if (!token.startsWith(TOKEN_PREFIX)) return null;
+
+  const hash = hashToken(token);
+  const list = readAccounts();
+  const account = list.find(a => a.tokenHash === hash);
+  if (!account || !isActive(account)) return null;
+  if (!account.lastUsedAt || Date.now() - Date.parse(account.lastUsedAt) > TOUCH_MS) {
+    account.lastUsedAt = new Date().toISOString();
+    writeAccounts(list);
+  }
+  return { id: account.id, name: account.name, role: account.role };
+}
+
+export function hasRole(identity, role) {
+  return !!identity && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+}
+
+export function listAccounts() {
+  return readAccounts().map(describeAccount);
+}
+
+// Returns { account, token }; the plain token is not stored anywhere
+export function issueToken({ name, role, expiresAt = null, expiresInDays = null }, createdBy) {
+  name = String(name || '').trim();
+  if (!name) throw new Error('name required');
+  if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+  if (expiresInDays != null) {
+    const days = Number(expiresInDays);
+    if (!(days > 0)) throw new Error('expiresInDays must be a positive number');
+    expiresAt = new Date(Date.now() + days * 86400000).toISOString();
+  } else if (expiresAt != null) {
+    const t = Date.parse(expiresAt);
+    if (Number.isNaN(t)) throw new Error('expiresAt must be a date/time');
+    expiresAt = new Date(t).toISOString();
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const account = {
+    id: crypto.randomUUID(),
+    name,
+    role,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy || null,
+    expiresAt,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  writeAccounts([...readAccounts(), account]);
+  return { account: describeAccount(account), token };
+}
+
+// Returns the revoked account, or null if there is no such id
+export function revokeToken(id) {
+  const list = readAccounts();
+  const account = list.find(a => a.id === String(id));
+  if (!account) return null;
+  account.revokedAt ||= new Date().toISOString();
+  writeAccounts(list);
+  return describeAccount(account);
+}
+
+// ------------ express middleware ------------
+
+// Attach req.identity (or null) from the bearer token; writes are logged with who made them
+export function authenticate(req, _res, next) {
+  const header = String(req.headers['authorization'] || '');
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  req.identity = identify(token);
+  if (req.method !== 'GET' && req.identity) {
+    console.log(`[auth] ${req.method} ${req.originalUrl} by ${req.identity.name} (${req.identity.role})`);
+  }
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (req.identity === undefined) authenticate(req, res, () => {});
+    if (!req.identity) return res.status(401).json({ error: 'unauthorized' });
+    if (!hasRole(req.identity, role)) return res.status(403).json({ error: `forbidden: ${role} role required` });
+    next();
+  };
+}
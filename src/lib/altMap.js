@@ -0,0 +1,125 @@
+// Alt → main links: validation, chain flattening and link suggestions.
+//
+// The stored map stays flat ({ alt: main }, every main a root): linkAlt()
+// resolves a new link's main to its root and re-points the alt's own alts,
+// and storage.js rejects self-links and cycles outright. flattenAltMap() runs
+// on write paths that take a whole map (import) and before suggestions; a
+// hand-edited chain in alt_map.json is not flattened on read, so re-link or
+// re-import it.
+// Names compare by identity key (lib/identity.js); callers pass canonical
+// names (home realm dropped).
+
+import { charKey as fold } from './identity.js';
+
+function lookup(map, name) {
+  const k = Object.keys(map).find(a => fold(a) === fold(name));
+  return k == null ? undefined : map[k];
+}
+
+// Root main of `name` (itself if it is not an alt); null on a cycle
+export function rootOf(map, name) {
+  const seen = new Set();
+  let cur = name;
+  while (lookup(map, cur) != null) {
+    if (seen.has(fold(cur))) return null;
+    seen.add(fold(cur));
+    cur = lookup(map, cur);
+  }
+  return cur;
+}
+
+// First problem with a map (self-link or cycle) as a message, or null
+export function altMapProblem(map) {
+  for (const [alt, main] of Object.entries(map)) {
+    if (fold(alt) === fold(main)) return `${alt} is linked to itself`;
+    if (rootOf(map, alt) == null) return `${alt} is part of a cycle`;
+  }
+  return null;
+}
+
+// Every alt → its root main (cyclic entries are dropped)
+export function flattenAltMap(map) {
+  const out = {};
+  for (const alt of Object.keys(map)) {
+    const root = rootOf(map, alt);
+    if (root != null) out[alt] = root;
+  }
+  return out;
+}
+
+/**
+ * map with alt → main added. main is resolved to its root; anything that
+ * pointed at alt now points at that root too. Throws on a self-link/cycle.
+ */
+export function linkAlt(map, alt, main) {
+  const root = rootOf(map, main);
+  if (root == null) throw new Error(`${main} is part of a cycle`);
+  if (fold(root) === fold(alt)) {
+    throw new Error(fold(main) === fold(alt) ? `${alt} can't be its own alt` : `${main} is already an alt of ${alt}`);
+  }
+  const next = {};
+  for (const [a, m] of Object.entries(map)) {
+    if (fold(a) === fold(alt)) continue;
+    next[a] = fold(m) === fold(alt) ? root : m;
+  }
+  next[alt] = root;
+  return { map: next, main: root };
+}
+
+// Warnings for names that never appear in the logs (known = identity keys)
+export function unknownNameWarnings(names, known) {
+  return names.filter(n => !known.has(fold(n))).map(n => `"${n}" never appears in cached logs`);
+}
+
+// ------------ suggestions ------------
+const STEM_MIN = 4;          // shared prefix of at least this many letters...
+const STEM_SHARE = 0.6;      // ...and this share of the shorter name
+const MAX_SUGGESTIONS = 50;
+
+const stem = (s) => String(s).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+function sharedPrefix(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
+export const suggestionKey = (alt, main) => `${fold(alt)}|${fold(main)}`;
+
+/**
+ * Likely alt → main pairs from log history: two characters that share a name
+ * stem and were never in the logs on the same raid night. The one with more
+ * nights is taken as the main.
+ *   nightsByChar  Map<name, Set<dateKey>>
+ *   altMap        current (flattened) links; linked alts are skipped
+ *   dismissed     Set of suggestionKey(alt, main)
+ */
+export function suggestAltLinks(nightsByChar, altMap, dismissed = new Set()) {
+  const linked = new Set(Object.keys(altMap).map(n => fold(n)));
+  const chars = [...nightsByChar.keys()].filter(n => !linked.has(fold(n)));
+  const out = [];
+  for (let i = 0; i < chars.length; i++) {
+    for (let j = i + 1; j < chars.length; j++) {
+      const [a, b] = [chars[i], chars[j]];
+      const sa = stem(a), sb = stem(b);
+      const p = sharedPrefix(sa, sb);
+      const shorter = Math.min(sa.length, sb.length);
+      if (p < STEM_MIN || p < STEM_SHARE * shorter) continue;
+      const na = nightsByChar.get(a), nb = nightsByChar.get(b);
+      if ([...na].some(k => nb.has(k))) continue;
+      const [main, alt] = na.size > nb.size || (na.size === nb.size && a.length <= b.length) ? [a, b] : [b, a];
+      if (dismissed.has(suggestionKey(alt, main))) continue;
+      out.push({
+        alt,
+        main,
+        score: Number((p / shorter).toFixed(2)),
+        mainNights: nightsByChar.get(main).size,
+        altNights: nightsByChar.get(alt).size,
+        reason: `share "${sa.slice(0, p)}", never on the same night`
+      });
+    }
+  }
+  return out
+    .sort((x, y) => y.score - x.score || y.mainNights - x.mainNights || x.alt.localeCompare(y.alt))
+    .slice(0, MAX_SUGGESTIONS);
+}
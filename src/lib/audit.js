@@ -0,0 +1,107 @@
+// Append-only audit log of admin changes, one JSON object per line:
+//   <teamDataDir>/audit_log.jsonl
+//   { id, ts, actor, action, note, revertOf?, changes: [{ kind, path, before, after }] }
+//
+// `changes` is a keyed diff of the stored data (see storage.js): `path` points
+// at one override/bench entry ([dateKey, name]), one alt link ([alt]), one
+// rename ([oldName]), one excluded date ([dateKey]), one season ([id]) or the
+// whole schedule ([]).
+// `before`/`after` are the stored values there; undefined (omitted) = absent.
+
+import fs from 'fs';
+import path from 'path';
+import { charKey } from './identity.js';
+
+export const AUDIT_FILE = 'audit_log.jsonl';
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Keyed diff of two values down to `depth` levels of object keys.
+ * Returns [{ path, before, after }] for every path whose value changed.
+ */
+export function diffValues(before, after, depth, prefix = []) {
+  if (same(before, after)) return [];
+  // A missing level counts as empty, so paths always go all the way down
+  const b = before === undefined ? {} : before;
+  const a = after === undefined ? {} : after;
+  if (depth === 0 || !isObj(b) || !isObj(a)) return [{ path: prefix, before, after }];
+  const keys = new Set([...Object.keys(b), ...Object.keys(a)]);
+  return [...keys].flatMap(k => diffValues(b[k], a[k], depth - 1, [...prefix, k]));
+}
+
+export function getPath(obj, p) {
+  return p.reduce((o, k) => (isObj(o) ? o[k] : undefined), obj);
+}
+
+// Set (or delete, for undefined) the value at path; empty parents are pruned
+export function setPath(obj, p, value) {
+  if (!p.length) return value;
+  const [k, ...rest] = p;
+  const out = isObj(obj) ? { ...obj } : {};
+  const child = setPath(out[k], rest, value);
+  if (child === undefined || (rest.length && isObj(child) && !Object.keys(child).length)) delete out[k];
+  else out[k] = child;
+  return out;
+}
+
+// Who/why for a mutating request (req.identity comes from accounts.js); the
+// entry's action is passed by the route
+export function auditMeta(req, action) {
+  const note = req.body?.auditNote ?? req.get('x-audit-note');
+  return { actor: req.identity?.name || 'anonymous', action, note: note ? String(note) : null };
+}
+
+export function createAuditLog(dir) {
+  const file = path.join(dir, AUDIT_FILE);
+  let lastId = null;
+
+  function readAll() {
+    let text;
+    try { text = fs.readFileSync(file, 'utf-8'); }
+    catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+    const out = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch { /* torn last line after a crash */ }
+    }
+    return out;
+  }
+
+  function append({ actor, action, note, revertOf }, changes) {
+    if (lastId == null) lastId = readAll().reduce((m, e) => Math.max(m, e.id || 0), 0);
+    const entry = {
+      id: ++lastId,
+      ts: new Date().toISOString(),
+      actor: actor || 'system',
+      action: action || 'update',
+      note: note || null,
+      ...(revertOf != null ? { revertOf } : {}),
+      changes
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf-8');
+    return entry;
+  }
+
+  /**
+   * Newest first. Filters (all optional): actor, action, kind, name (any path
+   * segment naming the same character, see identity.js), from/to (ISO date or time), limit (default 100).
+   */
+  function list({ actor, action, kind, name, from, to, limit = 100 } = {}) {
+    const nameKey = name ? charKey(name) : null;
+    const toTs = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    return readAll()
+      .filter(e => !actor || e.actor === actor)
+      .filter(e => !action || e.action === action)
+      .filter(e => !kind || e.changes.some(c => c.kind === kind))
+      .filter(e => !nameKey || e.changes.some(c => c.path.some(k => charKey(k) === nameKey)))
+      .filter(e => !from || e.ts >= from)
+      .filter(e => !toTs || e.ts <= toTs)
+      .reverse()
+      .slice(0, Math.max(1, Number(limit) || 100));
+  }
+
+  return { file, append, list, get: (id) => readAll().find(e => e.id === Number(id)) || null, readAll };
+}
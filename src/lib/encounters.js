@@ -0,0 +1,44 @@
+// Boss-level view of a computed payload: every kill each night with the mains
+// present, and how many kills of each encounter each main was there for.
+//
+// Payload shape (payload.encounters):
+//   { nights:  { [dateKey]: [{ report, fightId, name, encounterID, difficulty, size,
+//                              startTime, endTime, players: [main] }] },
+//     totals:  { [encounter]: kills in the window },
+//     players: { [main]: { [encounter]: kills present } } }
+//
+// Only kills that count toward presence are listed (see reportRules.js), and
+// excluded nights have none. Encounters are keyed by fight name.
+
+export function encounterBreakdown(killsByNight, players) {
+  const totals = {};
+  const byPlayer = Object.fromEntries([...players].map(n => [n, {}]));
+  for (const kills of Object.values(killsByNight)) {
+    for (const k of kills) {
+      totals[k.name] = (totals[k.name] || 0) + 1;
+      for (const m of k.players) {
+        if (byPlayer[m]) byPlayer[m][k.name] = (byPlayer[m][k.name] || 0) + 1;
+      }
+    }
+  }
+  return { nights: killsByNight, totals, players: byPlayer };
+}
+
+/**
+ * One main's side of the breakdown: per-encounter present/total and the kills
+ * they missed on nights they attended (left after trash, skipped farm bosses).
+ */
+export function playerEncounters(encounters, main) {
+  const counts = encounters.players[main] || {};
+  const byEncounter = Object.entries(encounters.totals)
+    .map(([name, kills]) => ({ name, present: counts[name] || 0, kills }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const missed = [];
+  for (const [dateKey, kills] of Object.entries(encounters.nights)) {
+    if (!kills.some(k => k.players.includes(main))) continue;
+    for (const k of kills) {
+      if (!k.players.includes(main)) missed.push({ dateKey, name: k.name, report: k.report, fightId: k.fightId });
+    }
+  }
+  return { player: main, encounters: byEncounter, missed };
+}
@@ -0,0 +1,122 @@
+// Character identity, shared by logs, overrides, bench, alt links, renames
+// and the roster.
+//
+// A character is written "Name" (on the guild's home realm) or "Name-Realm"
+// (WoW's own notation for another realm). Identity keys fold case the
+// Unicode way (ß = ss) and ignore diacritics, and realms compare on letters
+// and digits only, so "Naptho", "náptho" and "Naptho-Dreamscythe" (home) are
+// one character while "Naptho-Whitemane" is another.
+//
+// Renames ({ oldName: newName }, see storage.js) apply before alt links: a
+// renamed character's history merges under the new name, and links,
+// overrides and roster entries recorded under the old name keep working.
+
+const fold = (s) => String(s).normalize('NFKD').replace(/\p{M}/gu, '').toUpperCase().toLowerCase();
+const foldRealm = (s) => fold(s).replace(/[^\p{L}\p{N}]/gu, '');
+
+// "Name-Realm" -> { name, realm } (realm null when absent). Character names
+// never contain "-"; realm names can ("Azjol-Nerub").
+export function parseCharacter(s) {
+  const str = String(s ?? '').trim();
+  const i = str.indexOf('-');
+  if (i < 0) return { name: str, realm: null };
+  return { name: str.slice(0, i).trim(), realm: str.slice(i + 1).trim() || null };
+}
+
+// Name as logged, with its realm appended when known: "Naptho-Dreamscythe"
+export function withRealm(name, realm) {
+  const n = String(name || '').trim();
+  return n && realm ? `${n}-${String(realm).trim()}` : n;
+}
+
+// Display form, home realm dropped: "Naptho" / "Naptho-Whitemane"
+export function canonicalName(s, homeRealm = null) {
+  const { name, realm } = parseCharacter(s);
+  if (!realm || (homeRealm && foldRealm(realm) === foldRealm(homeRealm))) return name;
+  return `${name}-${realm}`;
+}
+
+// Identity key: equal keys = same character
+export function charKey(s, homeRealm = null) {
+  const { name, realm } = parseCharacter(canonicalName(s, homeRealm));
+  return realm ? `${fold(name)}-${foldRealm(realm)}` : fold(name);
+}
+
+// Existing key of obj naming the same character as `name`, or undefined
+export function findKey(obj, name, homeRealm = null) {
+  const k = charKey(name, homeRealm);
+  return Object.keys(obj || {}).find(x => charKey(x, homeRealm) === k);
+}
+
+/**
+ * renames with from → to added (both canonical names). Chains flatten: the
+ * new name is resolved through existing renames, and anything renamed to
+ * `from` now points at the final name. Throws on a rename to itself or one
+ * that would loop.
+ */
+export function recordRename(renames, from, to, homeRealm = null) {
+  const key = (n) => charKey(n, homeRealm);
+  let target = to;
+  for (const seen = new Set(); findKey(renames, target, homeRealm) != null; ) {
+    if (seen.has(key(target))) throw new Error(`${to} is part of a rename loop`);
+    seen.add(key(target));
+    target = renames[findKey(renames, target, homeRealm)];
+  }
+  if (key(target) === key(from)) {
+    throw new Error(key(to) === key(from) ? `${from} can't be renamed to itself` : `${to} was already renamed to ${from}`);
+  }
+  const next = {};
+  for (const [a, b] of Object.entries(renames)) {
+    if (key(a) === key(from)) continue;
+    next[a] = key(b) === key(from) ? target : b;
+  }
+  next[from] = target;
+  return { renames: next, to: target };
+}
+
+/**
+ * Name resolution for one team's stored renames + alt links:
+ *   key(n)          identity key of a character
+ *   current(n)      n after renames (display form)
+ *   main(n)         who n plays under: renames, then alt links (to the root)
+ *   alts(main)      characters linked to `main`, current names
+ *   formerNames(n)  names `n` was renamed from
+ * Loops in hand-edited files stop resolving instead of spinning.
+ */
+export function createIdentity({ homeRealm = null, renames = {}, altMap = {} } = {}) {
+  const key = (n) => charKey(n, homeRealm);
+  const renamedTo = new Map(Object.entries(renames).map(([from, to]) => [key(from), canonicalName(to, homeRealm)]));
+
+  function follow(links, start, step) {
+    let cur = start;
+    for (const seen = new Set(); links.has(key(cur)) && !seen.has(key(cur)); ) {
+      seen.add(key(cur));
+      cur = step(links.get(key(cur)));
+    }
+    return cur;
+  }
+  const current = (n) => follow(renamedTo, canonicalName(n, homeRealm), (to) => to);
+  const mainOf = new Map(Object.entries(altMap).map(([alt, m]) => [key(current(alt)), m]));
+  const main = (n) => follow(mainOf, current(n), current);
+
+  return {
+    homeRealm,
+    key,
+    current,
+    main,
+    same: (a, b) => key(a) === key(b),
+    alts(m) {
+      const k = key(main(m));
+      const out = new Map();
+      for (const alt of Object.keys(altMap)) {
+        const c = current(alt);
+        if (key(c) !== k && key(main(c)) === k) out.set(key(c), c);
+      }
+      return [...out.values()].sort();
+    },
+    formerNames(n) {
+      const k = key(current(n));
+      return Object.keys(renames).filter(from => key(from) !== k && key(current(from)) === k).sort();
+    }
+  };
+}
@@ -0,0 +1,151 @@
+// Single-flight background job queue.
+//
+// Jobs are identified by a key (e.g. "refresh:weeks-6", "reaggregate").
+// Only one job runs at a time, so WCL crawls never overlap. Triggering a
+// key that is already queued coalesces into that job (and pushes its
+// debounce timer out); triggering a key that is running queues exactly one
+// follow-up run.
+//
+// Job record:
+//   { id, key, reason, state: 'queued'|'running'|'succeeded'|'failed',
+//     queuedAt, startedAt, finishedAt, error, reports }
+//
+// Progress: a running job reports steps with reportProgress(job, type, data);
+// together with the lifecycle events ('queued', 'started', 'succeeded',
+// 'failed') they go to `jobEvents` listeners ('progress', event) as
+//   { seq, jobId, key, type, at, ...data }
+// and each job keeps its last PROGRESS_MAX so a late subscriber can catch up.
+// `seq` grows across all jobs, so it can serve as an SSE event id.
+
+import { EventEmitter } from 'events';
+
+const HISTORY_MAX = 20;
+const PROGRESS_MAX = 500;
+
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one per open progress stream
+const progressLog = new Map(); // job id -> [event]
+
+let nextId = 1;
+let nextSeq = 1;
+const queued = new Map();   // key -> { job, run, readyAt }
+let running = null;         // { job, run, waiters }
+const history = [];         // finished jobs, newest first
+let timer = null;
+
+function iso(ms) { return ms ? new Date(ms).toISOString() : null; }
+function view(job) {
+  return {
+    ...job,
+    queuedAt: iso(job.queuedAt),
+    startedAt: iso(job.startedAt),
+    finishedAt: iso(job.finishedAt)
+  };
+}
+
+export function reportProgress(job, type, data = {}) {
+  const event = { seq: nextSeq++, jobId: job.id, key: job.key, type, at: new Date().toISOString(), ...data };
+  const log = progressLog.get(job.id) || [];
+  log.push(event);
+  if (log.length > PROGRESS_MAX) log.splice(0, log.length - PROGRESS_MAX);
+  progressLog.set(job.id, log);
+  jobEvents.emit('progress', event);
+  return event;
+}
+
+// Events so far for one job (oldest first)
+export function jobProgress(id) {
+  return progressLog.get(Number(id)) || [];
+}
+
+// Kept events of every job with seq > `after` (oldest first)
+export function progressSince(after) {
+  return [...progressLog.values()].flat().filter(e => e.seq > after).sort((a, b) => a.seq - b.seq);
+}
+
+function pump() {
+  if (timer) { clearTimeout(timer); timer = null; }
+  if (running || !queued.size) return;
+
+  const now = Date.now();
+  const next = [...queued.values()].sort((a, b) => a.readyAt - b.readyAt)[0];
+  if (next.readyAt > now) {
+    timer = setTimeout(pump, next.readyAt - now);
+    timer.unref?.();
+    return;
+  }
+
+  queued.delete(next.job.key);
+  running = next;
+  next.job.state = 'running';
+  next.job.startedAt = now;
+  reportProgress(next.job, 'started', { reason: next.job.reason });
+
+  Promise.resolve()
+    .then(() => next.run(next.job))
+    .then(result => {
+      next.job.state = 'succeeded';
+      next.job.reports = result?.reports ?? null;
+      reportProgress(next.job, 'succeeded', { reports: next.job.reports, ms: Date.now() - now });
+      next.waiters.forEach(w => w.resolve(result));
+    }, err => {
+      next.job.state = 'failed';
+      next.job.error = err?.message || String(err);
+      console.error(`[jobs] ${next.job.key} failed: ${next.job.error}`);
+      reportProgress(next.job, 'failed', { error: next.job.error, ms: Date.now() - now });
+      next.waiters.forEach(w => w.reject(err));
+    })
+    .finally(() => {
+      next.job.finishedAt = Date.now();
+      history.unshift(next.job);
+      for (const old of history.splice(HISTORY_MAX)) progressLog.delete(old.id);
+      running = null;
+      pump();
+    });
+}
+
+/**
+ * Queue `run(job)` under `key`. Returns { job, done } where `done` settles
+ * with run's result. `delayMs` debounces: repeated triggers within the
+ * window collapse into a single run.
+ */
+export function enqueue(key, run, { reason = '', delayMs = 0 } = {}) {
+  const readyAt = Date.now() + delayMs;
+  let entry = queued.get(key);
+  if (entry) {
+    entry.run = run;
+    entry.readyAt = Math.max(entry.readyAt, readyAt);
+    if (reason && !entry.job.reason.includes(reason)) entry.job.reason += `, ${reason}`;
+  } else {
+    entry = {
+      job: { id: nextId++, key, reason, state: 'queued', queuedAt: Date.now(), startedAt: null, finishedAt: null, error: null, reports: null },
+      run,
+      readyAt,
+      waiters: []
+    };
+    queued.set(key, entry);
+    reportProgress(entry.job, 'queued', { reason });
+  }
+  const done = new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+  done.catch(() => {}); // callers that don't await shouldn't trip unhandledRejection
+  pump();
+  return { job: view(entry.job), done };
+}
+
+// `prefix` narrows to one team's jobs (keys are "<team>:...")
+export function jobStatus(prefix = '') {
+  const mine = (job) => job.key.startsWith(prefix);
+  return {
+    running: running && mine(running.job) ? view(running.job) : null,
+    queued: [...queued.values()].filter(e => mine(e.job)).map(e => view(e.job)),
+    recent: history.filter(mine).map(view)
+  };
+}
+
+export function findJob(id) {
+  if (running?.job.id === id) return view(running.job);
+  const q = [...queued.values()].find(e => e.job.id === id);
+  if (q) return view(q.job);
+  const h = history.find(j => j.id === id);
+  return h ? view(h) : null;
+}
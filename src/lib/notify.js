@@ -0,0 +1,215 @@
+// Discord webhook notifications for one team.
+//
+// Events:
+//   weeklySummary   after the last raid night of a week (Mon-start weeks)
+//   lowAttendance   a raider drops below `lowPct` (once, until they recover)
+//   refreshFailed   a refresh job threw
+//
+// The webhook URL is deployment config (DISCORD_WEBHOOK_URL, or
+// `discordWebhookUrl` per team in teams.json) and never goes through the API;
+// any URL works, so a local HTTP stand-in is fine for testing. Templates and
+// thresholds live in the team's notifications.json (see storage.js) and are
+// edited through /notifications. With `dryRun` messages are logged, not posted.
+//
+// Templates use {{var}}; see TEMPLATE_VARS for what each event provides.
+
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { writeFileAtomic } from './storage.js';
+
+export const EVENTS = ['weeklySummary', 'lowAttendance', 'refreshFailed'];
+
+export const TEMPLATE_VARS = {
+  weeklySummary: ['team', 'week', 'window', 'nights', 'raiders', 'avgPct', 'table', 'low'],
+  lowAttendance: ['team', 'window', 'name', 'pct', 'attended', 'possible', 'threshold'],
+  refreshFailed: ['team', 'window', 'reason', 'error']
+};
+
+export const DEFAULT_NOTIFICATIONS = {
+  enabled: true,
+  dryRun: false,
+  lowPct: 50,
+  // Don't judge anyone on fewer nights than this
+  minPossible: 3,
+  events: { weeklySummary: true, lowAttendance: true, refreshFailed: true },
+  templates: {
+    weeklySummary: '**{{team}} attendance, week of {{week}}** ({{window}}: {{nights}} nights, {{raiders}} raiders, avg {{avgPct}}%)\n{{table}}',
+    lowAttendance: ':warning: **{{name}}** is at {{pct}}% ({{attended}}/{{possible}}) for {{window}}, below {{threshold}}%.',
+    refreshFailed: ':x: {{team}} attendance refresh failed ({{window}}, {{reason}}): {{error}}'
+  }
+};
+
+// Discord rejects longer messages
+const DISCORD_MAX = 2000;
+const POST_TIMEOUT_MS = 10_000;
+const STATE_FILE = 'notify_state.json';
+
+export function normalizeNotifications(input) {
+  const d = input && typeof input === 'object' && !Array.isArray(input) ? input : null;
+  if (!d) throw new Error('expected an object');
+  const lowPct = Number(d.lowPct ?? DEFAULT_NOTIFICATIONS.lowPct);
+  if (!(lowPct >= 0 && lowPct <= 100)) throw new Error('lowPct must be 0-100');
+  const minPossible = Number(d.minPossible ?? DEFAULT_NOTIFICATIONS.minPossible);
+  if (!Number.isInteger(minPossible) || minPossible < 0) throw new Error('minPossible must be a non-negative integer');
+
+  const events = { ...DEFAULT_NOTIFICATIONS.events };
+  const templates = { ...DEFAULT_NOTIFICATIONS.templates };
+  for (const [k, v] of Object.entries(d.events || {})) {
+    if (!EVENTS.includes(k)) throw new Error(`unknown event "${k}" (expected ${EVENTS.join(', ')})`);
+    events[k] = !!v;
+  }
+  for (const [k, v] of Object.entries(d.templates || {})) {
+    if (!EVENTS.includes(k)) throw new Error(`unknown template "${k}" (expected ${EVENTS.join(', ')})`);
+    if (typeof v !== 'string' || !v.trim()) throw new Error(`templates.${k} must be a non-empty string`);
+    templates[k] = v;
+  }
+  return { enabled: d.enabled !== false, dryRun: !!d.dryRun, lowPct, minPossible, events, templates };
+}
+
+export function renderTemplate(tpl, vars) {
+  return tpl.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+// Split on line breaks so each chunk fits in one Discord message
+function chunks(text) {
+  const out = [];
+  let cur = '';
+  for (const line of text.split('\n')) {
+    const piece = line.length > DISCORD_MAX ? line.slice(0, DISCORD_MAX - 1) + '…' : line;
+    if (cur && cur.length + 1 + piece.length > DISCORD_MAX) { out.push(cur); cur = piece; }
+    else cur = cur ? `${cur}\n${piece}` : piece;
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+const windowLabel = (w) => (w?.season ? w.season.name : w?.weeks ? `last ${w.weeks} weeks` : w?.key || '');
+
+/**
+ * Notifier for one team. `store` is the team's storage (notifications kind).
+ * Every trigger returns what happened to its rendered messages:
+ *   { status: 'posted' | 'skipped' | 'failed' | 'preview', reason?, error?, messages: [{ event, content }] }
+ * `reason` says why a delivery was skipped: nothing to send, notifications
+ * disabled, event turned off, dry run, or no webhook configured.
+ */
+export function createNotifier({ team, store, webhookUrl = team.discordWebhookUrl }) {
+  const statePath = path.join(store.dir, STATE_FILE);
+
+  function readState() {
+    try { return JSON.parse(fs.readFileSync(statePath, 'utf-8')); }
+    catch { return { lowAlerted: [], lastWeekly: null }; }
+  }
+  function writeState(state) {
+    writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+  }
+
+  async function post(content) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), POST_TIMEOUT_MS);
+    try {
+      const r = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+        signal: ctrl.signal
+      });
+      if (!r.ok) throw new Error(`webhook ${r.status}: ${(await r.text()).slice(0, 200)}`);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  // Send (or just render, for preview) one event's text; see createNotifier for the result
+  async function deliver(event, text, { preview = false } = {}) {
+    const cfg = store.read('notifications');
+    const messages = chunks(text).map(content => ({ event, content }));
+    if (preview) return { status: 'preview', messages };
+    const skipped = (reason) => ({ status: 'skipped', reason, messages });
+    if (!messages.length) return skipped('nothing to send');
+    if (!cfg.enabled) return skipped('notifications disabled');
+    if (!cfg.events[event]) return skipped(`${event} turned off`);
+    if (cfg.dryRun || !webhookUrl) {
+      const reason = cfg.dryRun ? 'dry run' : 'no webhook';
+      for (const m of messages) console.log(`[notify] ${team.id} ${event} (${reason}):\n${m.content}`);
+      return skipped(reason);
+    }
+    try {
+      for (const m of messages) await post(m.content);
+    } catch (e) {
+      console.error(`[notify] ${team.id} ${event}: ${e.message}`);
+      return { status: 'failed', error: e.message, messages };
+    }
+    return { status: 'posted', messages };
+  }
+
+  function weeklySummaryText(payload, week) {
+    const cfg = store.read('notifications');
+    const rows = payload.rows;
+    const avg = rows.length ? Math.round(rows.reduce((a, r) => a + r.pct, 0) / rows.length) : 0;
+    const table = rows.map(r => `${r.name} — ${r.pct}% (${r.attended}/${r.possible})`).join('\n');
+    const low = rows.filter(r => r.possible >= cfg.minPossible && r.pct < cfg.lowPct).map(r => r.name).join(', ') || 'none';
+    return renderTemplate(cfg.templates.weeklySummary, {
+      team: team.name, week, window: windowLabel(payload.window), nights: payload.nights.length,
+      raiders: rows.length, avgPct: avg, table, low
+    });
+  }
+
+  function lowRows(payload) {
+    const cfg = store.read('notifications');
+    return payload.rows.filter(r => r.possible >= cfg.minPossible && r.pct < cfg.lowPct);
+  }
+  function lowAttendanceText(rows, payload) {
+    const cfg = store.read('notifications');
+    return rows.map(r => renderTemplate(cfg.templates.lowAttendance, {
+      team: team.name, window: windowLabel(payload.window), name: r.name, pct: r.pct,
+      attended: r.attended, possible: r.possible, threshold: cfg.lowPct
+    })).join('\n');
+  }
+
+  function refreshFailedText(window, reason, error) {
+    const cfg = store.read('notifications');
+    return renderTemplate(cfg.templates.refreshFailed, {
+      team: team.name, window: windowLabel(window), reason: reason || 'refresh', error: error?.message || String(error)
+    });
+  }
+
+  return {
+    // Once per week (`week` = its Monday); repeated calls for the same week are
+    // no-ops. A failed post leaves the week open, so the next call tries again.
+    async weeklySummary(payload, week) {
+      const state = readState();
+      if (state.lastWeekly === week) return { status: 'skipped', reason: `already sent for ${week}`, messages: [] };
+      const result = await deliver('weeklySummary', weeklySummaryText(payload, week));
+      if (result.status !== 'failed') writeState({ ...readState(), lastWeekly: week });
+      return result;
+    },
+    // Alerts only players who newly dropped below the threshold; after a
+    // failed post they still count as new next time
+    async lowAttendance(payload) {
+      const state = readState();
+      const low = lowRows(payload);
+      const already = new Set(state.lowAlerted);
+      const fresh = low.filter(r => !already.has(r.name));
+      const result = await deliver('lowAttendance', fresh.length ? lowAttendanceText(fresh, payload) : '');
+      const alerted = result.status === 'failed' ? low.filter(r => already.has(r.name)) : low;
+      writeState({ ...readState(), lowAlerted: alerted.map(r => r.name) });
+      return result;
+    },
+    refreshFailed(window, reason, error) {
+      return deliver('refreshFailed', refreshFailedText(window, reason, error));
+    },
+    // Render from the given payload without touching state (sample error for
+    // refreshFailed). Nothing is posted unless `send` (a test message).
+    preview(event, payload, { week, send = false } = {}) {
+      const opts = { preview: !send };
+      if (event === 'weeklySummary') return deliver(event, weeklySummaryText(payload, week), opts);
+      if (event === 'lowAttendance') return deliver(event, lowAttendanceText(lowRows(payload), payload), opts);
+      if (event === 'refreshFailed') {
+        return deliver(event, refreshFailedText(payload.window, 'manual', new Error('WCL 503: Service Unavailable')), opts);
+      }
+      return Promise.reject(new Error(`unknown event "${event}" (expected ${EVENTS.join(', ')})`));
+    },
+    webhookConfigured: !!webhookUrl
+  };
+}
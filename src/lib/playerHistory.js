@@ -0,0 +1,112 @@
+// Night-by-night history of one main (and their alts), built from a computed
+// attendance payload (see computePayload in routes/attendance.js).
+
+// A night counts toward a streak at this value or above (0.5 = half the kills)
+export const STREAK_MIN = 0.5;
+// Nights per rolling-average bucket
+export const TREND_NIGHTS = 4;
+
+const pct = (sum, n) => (n ? Math.round((sum / n) * 100) : 0);
+
+/**
+ * Resolve a requested name (main, alt or old name; any case or realm form) to
+ * its main, using `identity` (lib/identity.js createIdentity).
+ * Returns { main, alts, formerNames } or null if the name is unknown to both
+ * the payload and the stored links.
+ */
+export function resolvePlayer(payload, identity, name) {
+  const key = identity.key(identity.main(name));
+  const known = [
+    ...payload.rows.map(r => r.name),
+    ...Object.keys(payload.perPlayerDates),
+    ...(payload.excludedNights || []).flatMap(n => Object.keys(n.characters))
+  ];
+  // A linked or renamed name resolves even if its main has no nights here
+  const linked = key !== identity.key(name) ? identity.main(name) : null;
+  const main = known.find(n => identity.key(n) === key) ?? linked;
+  if (!main) return null;
+  return { main, alts: identity.alts(main), formerNames: identity.formerNames(main) };
+}
+
+export function playerHistory(payload, { main, alts, formerNames = [] }) {
+  const byDate = new Map((payload.perPlayerDates[main] || []).map(d => [d.dateKey, d]));
+  const excluded = new Map((payload.excludedNights || []).map(n => [n.dateKey, n]));
+
+  const row = payload.rows.find(r => r.name === main);
+  const eligible = (k) => (!row?.joined || k >= row.joined) && (!row?.left || k <= row.left);
+  // Excused nights (approved absences) only count when the policy says so
+  const skipped = (k) => byDate.get(k)?.source === 'excused' && !payload.policy?.excusedCountsAsPossible;
+
+  // Nights before they joined / after they left, and skipped excused nights,
+  // are listed but not counted
+  const counted = payload.nights.filter(k => eligible(k) && !skipped(k)).map(dateKey => {
+    const d = byDate.get(dateKey);
+    return {
+      dateKey,
+      excluded: false,
+      eligible: true,
+      counted: true,
+      excused: d?.excused || null,
+      characters: d?.characters || [],
+      auto: d?.auto ?? 0,
+      bench: d?.bench ?? null,
+      override: d?.override ?? null,
+      value: d?.value ?? 0,
+      source: d?.source || 'absent'
+    };
+  });
+
+  // Rolling average over the last TREND_NIGHTS counted nights, as a percentage
+  counted.forEach((n, i) => {
+    const slice = counted.slice(Math.max(0, i - TREND_NIGHTS + 1), i + 1);
+    n.rollingPct = pct(slice.reduce((a, x) => a + x.value, 0), slice.length);
+  });
+
+  let longest = 0, run = 0;
+  for (const n of counted) {
+    run = n.value >= STREAK_MIN ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+  const current = run;
+
+  const recent = counted.slice(-TREND_NIGHTS);
+  const previous = counted.slice(-2 * TREND_NIGHTS, -TREND_NIGHTS);
+  const recentPct = pct(recent.reduce((a, n) => a + n.value, 0), recent.length);
+  const previousPct = previous.length ? pct(previous.reduce((a, n) => a + n.value, 0), previous.length) : null;
+
+  // Excluded nights are listed (with who was logged) but never counted
+  const excludedRows = Array.from(excluded.values()).map(n => ({
+    dateKey: n.dateKey,
+    excluded: true,
+    reason: n.reason,
+    characters: n.characters[main] || []
+  }));
+
+  const ineligibleRows = payload.nights.filter(k => !eligible(k) || skipped(k)).map(dateKey => ({
+    dateKey,
+    excluded: false,
+    eligible: eligible(dateKey),
+    excused: byDate.get(dateKey)?.excused || null,
+    counted: false,
+    characters: byDate.get(dateKey)?.characters || [],
+    value: byDate.get(dateKey)?.value ?? 0
+  }));
+
+  return {
+    window: payload.window,
+    player: main,
+    alts,
+    formerNames,
+    summary: row
+      ? { attended: row.attended, possible: row.possible, pct: row.pct, score: row.score, status: row.status, raw: row.raw, excused: row.excused, joined: row.joined, left: row.left, lastSeen: row.lastSeen }
+      : { attended: 0, possible: payload.nights.length, pct: 0, lastSeen: '' },
+    streaks: { current, longest, threshold: STREAK_MIN },
+    trend: {
+      nights: TREND_NIGHTS,
+      recentPct,
+      previousPct,
+      delta: previousPct == null ? null : recentPct - previousPct
+    },
+    nights: [...counted, ...ineligibleRows, ...excludedRows].sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+  };
+}
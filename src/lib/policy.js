@@ -0,0 +1,90 @@
+// Attendance policy for one team: how nights count toward a player's pct and
+// weighted score, and which named statuses a score earns. Stored in the
+// team's policy.json (see storage.js), edited through /policy and previewed
+// against current data with /policy/preview before saving.
+//
+//   excusedCountsAsPossible  an approved absence (see absences.js) still
+//                            counts as a possible night (scored 0); off =
+//                            excused nights drop out of `possible`
+//   weights                  { tag: weight }; `default` applies to untagged nights
+//   nightTags                { dateKey: tag }, e.g. "progression" / "farm"
+//   halfLifeWeeks            time decay: a night this many weeks older than the
+//                            window's last night weighs half as much (null = off)
+//   thresholds               [{ name, minScore, minNights? }] — a row's status is
+//                            the first (highest) one its score and possible
+//                            nights reach, e.g. "core raider" ≥ 90, "loot eligible" ≥ 75
+//
+// `pct` stays the plain unweighted percentage; `score` is the weighted one.
+
+export const DEFAULT_POLICY = {
+  excusedCountsAsPossible: false,
+  weights: { default: 1 },
+  nightTags: {},
+  halfLifeWeeks: null,
+  thresholds: []
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+export function normalizePolicy(input) {
+  const d = isObj(input) ? input : null;
+  if (!d) throw new Error('expected an object');
+  for (const k of Object.keys(d)) {
+    if (!(k in DEFAULT_POLICY)) throw new Error(`unknown policy setting "${k}" (expected ${Object.keys(DEFAULT_POLICY).join(', ')})`);
+  }
+
+  const weights = { default: 1 };
+  if (d.weights != null && !isObj(d.weights)) throw new Error('weights must be an object of { tag: weight }');
+  for (const [tag, w] of Object.entries(d.weights || {})) {
+    if (!tag.trim()) throw new Error('weights: tag names must be non-empty');
+    if (typeof w !== 'number' || !(w >= 0)) throw new Error(`weights.${tag} must be a number ≥ 0`);
+    weights[tag] = w;
+  }
+
+  const nightTags = {};
+  if (d.nightTags != null && !isObj(d.nightTags)) throw new Error('nightTags must be an object of { dateKey: tag }');
+  for (const [dk, tag] of Object.entries(d.nightTags || {})) {
+    if (!DATE_RE.test(dk)) throw new Error(`nightTags: bad dateKey "${dk}"`);
+    if (!(tag in weights)) throw new Error(`nightTags.${dk}: no weight for tag "${tag}"`);
+    nightTags[dk] = tag;
+  }
+
+  const halfLifeWeeks = d.halfLifeWeeks == null || d.halfLifeWeeks === 0 ? null : Number(d.halfLifeWeeks);
+  if (halfLifeWeeks != null && !(halfLifeWeeks > 0)) throw new Error('halfLifeWeeks must be a positive number (or null for no decay)');
+
+  if (d.thresholds != null && !Array.isArray(d.thresholds)) throw new Error('thresholds must be an array of { name, minScore, minNights? }');
+  const names = new Set();
+  const thresholds = (d.thresholds || []).map((t, i) => {
+    const name = String(t?.name || '').trim();
+    if (!name) throw new Error(`thresholds[${i}].name required`);
+    if (names.has(name.toLowerCase())) throw new Error(`thresholds: duplicate name "${name}"`);
+    names.add(name.toLowerCase());
+    const minScore = Number(t.minScore);
+    if (!(minScore >= 0 && minScore <= 100)) throw new Error(`thresholds[${i}].minScore must be 0-100`);
+    const minNights = Number(t.minNights ?? 0);
+    if (!Number.isInteger(minNights) || minNights < 0) throw new Error(`thresholds[${i}].minNights must be a non-negative integer`);
+    return { name, minScore, minNights };
+  }).sort((a, b) => b.minScore - a.minScore);
+
+  return { excusedCountsAsPossible: !!d.excusedCountsAsPossible, weights, nightTags, halfLifeWeeks, thresholds };
+}
+
+const dayNumber = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`) / 86_400_000;
+
+// { dateKey: weight } for the window's nights (tag weight × decay), 3 decimals
+export function nightWeights(policy, nightKeys) {
+  const last = nightKeys.length ? dayNumber(nightKeys[nightKeys.length - 1]) : 0;
+  const out = {};
+  for (const k of nightKeys) {
+    const tag = policy.nightTags[k] || 'default';
+    const decay = policy.halfLifeWeeks ? 0.5 ** ((last - dayNumber(k)) / 7 / policy.halfLifeWeeks) : 1;
+    out[k] = Number(((policy.weights[tag] ?? policy.weights.default) * decay).toFixed(3));
+  }
+  return out;
+}
+
+// Name of the highest threshold reached, or null
+export function statusFor(policy, score, possible) {
+  return policy.thresholds.find(t => score >= t.minScore && possible >= t.minNights)?.name ?? null;
+}
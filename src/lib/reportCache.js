@@ -0,0 +1,74 @@
+// Persistent per-report WCL results, one file per report code:
+//   ./data/report_cache/<code>.json
+//   { version, code, guild, startTime, endTime, fetchedAt, final, zone: { id, name } | null,
+//     fights: [{ id, name, encounterID, difficulty, size, startTime, endTime, players: [name] }],
+//     players: [name], roles: { [name]: { class, role: 'tank'|'healer'|'dps' } } }
+// Player names are as logged, "Name-Realm" when the realm is known (v4+);
+// zone and per-fight encounter/difficulty/size are there from v5, roles from v6.
+//
+// `final` means the report had already ended (plus a grace period) when we
+// fetched it, so it will not change and never needs to be queried again.
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, writeFileAtomic } from './storage.js';
+
+const CACHE_DIR = path.join(DATA_DIR, 'report_cache');
+
+// A log that ended less than this long ago may still be uploading.
+export const LIVE_GRACE_MS = 1000 * 60 * 60 * 2;
+
+// Bump when the entry shape changes; older entries get refetched.
+const CACHE_VERSION = 6;
+
+function ensureDir() {
+  if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+}
+function fileFor(code) {
+  return path.join(CACHE_DIR, `${String(code).replace(/[^A-Za-z0-9]/g, '_')}.json`);
+}
+
+export function getCachedReport(code) {
+  try { return JSON.parse(fs.readFileSync(fileFor(code), 'utf-8')); }
+  catch { return null; }
+}
+
+// Reuse the cached entry only if it is current-shape, final, and WCL still reports the same end time.
+export function isReusable(entry, report) {
+  return !!entry && entry.version === CACHE_VERSION && entry.final && entry.endTime === report.endTime;
+}
+
+export function putCachedReport(report, { zone = null, fights, players, roles = {} }, now = Date.now()) {
+  ensureDir();
+  const entry = {
+    version: CACHE_VERSION,
+    code: report.code,
+    guild: report.guild,
+    startTime: report.startTime,
+    endTime: report.endTime,
+    fetchedAt: now,
+    final: now - report.endTime > LIVE_GRACE_MS,
+    zone,
+    fights,
+    players,
+    roles
+  };
+  writeFileAtomic(fileFor(report.code), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+// All cached reports of one guild (see guildKey in routes) that started inside [start, end]
+export function listCachedReports(start, end, guild) {
+  ensureDir();
+  const out = [];
+  for (const f of fs.readdirSync(CACHE_DIR)) {
+    if (!f.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, f), 'utf-8'));
+      if (entry.guild === guild && entry.startTime >= start && entry.startTime <= end) out.push(entry);
+    } catch {
+      // half-written or hand-edited file; it will be refetched on the next online refresh
+    }
+  }
+  return out.sort((a, b) => a.startTime - b.startTime);
+}
@@ -0,0 +1,79 @@
+// Which logs count: optional rules on each raid schedule window (see
+// schedule.js) deciding which kill fights qualify, which reports that makes
+// count, and whether the night counts at all.
+//
+// Shape (windows[i].rules, null = every kill counts):
+//   { zones: [zoneID], encounters: [encounterID], difficulties: [n], sizes: [n],
+//     minKills: 1, presence: 'qualifying' | 'all' }
+//
+// An empty list means "any". `zones` are WCL zones (a raid tier, e.g. 1023),
+// matched against the report's zone; the others against each kill fight.
+// A report is included when at least one of its kills qualifies; a night
+// counts when its included reports reach `minKills` qualifying kills in total.
+// presence 'qualifying' (default) scores players on qualifying kills only;
+// 'all' scores every kill of an included report.
+
+const LISTS = ['zones', 'encounters', 'difficulties', 'sizes'];
+const PRESENCE = ['qualifying', 'all'];
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+export function normalizeRules(input, where = 'rules') {
+  if (input == null) return null;
+  if (!isObj(input)) throw new Error(`${where} must be an object (or null for every kill)`);
+  for (const k of Object.keys(input)) {
+    if (![...LISTS, 'minKills', 'presence'].includes(k)) throw new Error(`${where}: unknown rule "${k}"`);
+  }
+  const out = {};
+  for (const k of LISTS) {
+    const v = input[k] ?? [];
+    if (!Array.isArray(v) || v.some(x => !Number.isInteger(Number(x)) || x === '')) throw new Error(`${where}.${k} must be a list of numeric ids`);
+    out[k] = [...new Set(v.map(Number))];
+  }
+  out.minKills = Number(input.minKills ?? 1);
+  if (!Number.isInteger(out.minKills) || out.minKills < 1) throw new Error(`${where}.minKills must be a positive integer`);
+  out.presence = input.presence ?? 'qualifying';
+  if (!PRESENCE.includes(out.presence)) throw new Error(`${where}.presence must be one of ${PRESENCE.join(', ')}`);
+  return out;
+}
+
+// First rule a kill fails ('zone' | 'encounter' | 'difficulty' | 'size'), or null
+function failedRule(rules, report, fight) {
+  if (rules.zones.length && !rules.zones.includes(report.zone?.id)) return 'zone';
+  if (rules.encounters.length && !rules.encounters.includes(fight.encounterID)) return 'encounter';
+  if (rules.difficulties.length && !rules.difficulties.includes(fight.difficulty)) return 'difficulty';
+  if (rules.sizes.length && !rules.sizes.includes(fight.size)) return 'size';
+  return null;
+}
+
+/**
+ * Verdict for one cached report under its window's rules:
+ *   { included, reason, kills, qualifying: Set<fightId>, scored: [fight] }
+ * `scored` = the kills that count toward presence.
+ */
+export function judgeReport(report, rules) {
+  const fights = report.fights || [];
+  if (!fights.length) return { included: false, reason: 'no kill fights', kills: 0, qualifying: new Set(), scored: [] };
+  if (!rules) return { included: true, reason: 'no rules: every kill counts', kills: fights.length, qualifying: new Set(fights.map(f => f.id)), scored: fights };
+
+  const qualifying = new Set();
+  const failed = {}; // rule -> kills
+  for (const f of fights) {
+    const rule = failedRule(rules, report, f);
+    if (rule) failed[rule] = (failed[rule] || 0) + 1;
+    else qualifying.add(f.id);
+  }
+  const why = Object.entries(failed).map(([rule, n]) => {
+    const got = rule === 'zone' ? `${report.zone?.name || report.zone?.id || 'unknown'}` : null;
+    return `${n} wrong ${rule}${got ? ` (${got})` : ''}`;
+  }).join(', ');
+  if (!qualifying.size) {
+    return { included: false, reason: `no kill qualifies: ${why}`, kills: fights.length, qualifying, scored: [] };
+  }
+  return {
+    included: true,
+    reason: `${qualifying.size} of ${fights.length} kills qualify${why ? ` (${why})` : ''}`,
+    kills: fights.length,
+    qualifying,
+    scored: rules.presence === 'all' ? fights : fights.filter(f => qualifying.has(f.id))
+  };
+}
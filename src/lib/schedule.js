@@ -0,0 +1,165 @@
+// Raid schedule: which local weekdays/time windows count as a raid night,
+// and for which date ranges each window applies.
+//
+// Shape (data/raid_schedule.json):
+//   { windows: [ { id, label?, weekdays: ['tue','thu'], start: 'HH:MM', end: 'HH:MM', from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD', rules? } ] }
+//
+// `rules` decide which logs in the window count (zone, encounters,
+// difficulty, raid size); see reportRules.js.
+//
+// A window whose end is <= start runs past midnight; logs started in that
+// tail belong to the night the window started on (Tue 00:30 -> Monday's raid).
+
+import { normalizeRules } from './reportRules.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_SCHEDULE = {
+  windows: [
+    { id: 'default', label: 'Tue/Thu', weekdays: ['tue', 'thu'], start: '12:00', end: '04:00', from: null, to: null, rules: null }
+  ]
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toMinutes(hhmm) {
+  const m = TIME_RE.exec(hhmm);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+// yyyy-mm-dd shifted by whole days (calendar math, no tz involved)
+export function shiftDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// Monday of the raid week a night belongs to (YYYY-MM-DD)
+export function weekStartOf(dateKey) {
+  return shiftDateKey(dateKey, -((WEEKDAYS.indexOf(weekdayOf(dateKey)) + 6) % 7));
+}
+
+function localParts(msUTC, tz) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(msUTC));
+  const get = (t) => parts.find(p => p.type === t)?.value;
+  return {
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+/**
+ * Validate and normalize a schedule object. Throws with a readable message
+ * on bad input so routes can hand it straight back as a 400.
+ */
+export function normalizeSchedule(input) {
+  const windows = input?.windows;
+  if (!Array.isArray(windows)) throw new Error('schedule.windows must be an array');
+
+  return {
+    windows: windows.map((w, i) => {
+      const where = `windows[${i}]`;
+      const weekdays = Array.isArray(w?.weekdays) ? w.weekdays.map(d => String(d).slice(0, 3).toLowerCase()) : [];
+      if (!weekdays.length || weekdays.some(d => !WEEKDAYS.includes(d))) {
+        throw new Error(`${where}.weekdays must be a non-empty list of ${WEEKDAYS.join('/')}`);
+      }
+      for (const k of ['start', 'end']) {
+        if (!TIME_RE.test(String(w[k] ?? ''))) throw new Error(`${where}.${k} must be HH:MM (24h)`);
+      }
+      for (const k of ['from', 'to']) {
+        if (w[k] != null && w[k] !== '' && !DATE_RE.test(String(w[k]))) throw new Error(`${where}.${k} must be YYYY-MM-DD`);
+      }
+      const from = w.from || null;
+      const to = w.to || null;
+      if (from && to && from > to) throw new Error(`${where}.from must not be after to`);
+      return {
+        id: String(w.id || `w${i + 1}`),
+        label: w.label ? String(w.label) : '',
+        weekdays: [...new Set(weekdays)],
+        start: w.start,
+        end: w.end,
+        from,
+        to,
+        rules: normalizeRules(w.rules, `${where}.rules`)
+      };
+    })
+  };
+}
+
+function windowCovers(w, nightKey, offsetMin) {
+  if (w.from && nightKey < w.from) return false;
+  if (w.to && nightKey > w.to) return false;
+  if (!w.weekdays.includes(weekdayOf(nightKey))) return false;
+  const start = toMinutes(w.start);
+  let end = toMinutes(w.end);
+  if (end <= start) end += 24 * 60;
+  return offsetMin >= start && offsetMin < end;
+}
+
+/**
+ * Raid night (local yyyy-mm-dd) a log starting at msUTC belongs to, and the
+ * schedule window that put it there: { dateKey, window }, or null if it falls
+ * outside every window. Same-day windows win over the post-midnight tail of
+ * the previous day's window.
+ */
+export function windowFor(msUTC, schedule, tz) {
+  const { dateKey, minutes } = localParts(msUTC, tz);
+  const prevKey = shiftDateKey(dateKey, -1);
+  for (const w of schedule.windows) {
+    if (windowCovers(w, dateKey, minutes)) return { dateKey, window: w };
+  }
+  for (const w of schedule.windows) {
+    if (windowCovers(w, prevKey, minutes + 24 * 60)) return { dateKey: prevKey, window: w };
+  }
+  return null;
+}
+
+// Just the raid night of windowFor, or null
+export function nightKeyFor(msUTC, schedule, tz) {
+  return windowFor(msUTC, schedule, tz)?.dateKey ?? null;
+}
+
+// UTC ms for a local wall-clock time (minutes may run past 24h into the next day)
+function localToUtc(dateKey, minutes, tz) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const naive = Date.UTC(y, m - 1, d, 0, minutes);
+  // Two passes settle DST edges: shift by the zone's offset at the guess
+  let guess = naive;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(guess, tz);
+    const [py, pm, pd] = p.dateKey.split('-').map(Number);
+    guess += naive - Date.UTC(py, pm - 1, pd, 0, p.minutes);
+  }
+  return guess;
+}
+
+/**
+ * UTC ms at which the next raid window (after `now`) ends, or null if the
+ * schedule has no window in the coming week.
+ */
+export function nextNightEnd(now, schedule, tz) {
+  const today = localParts(now, tz).dateKey;
+  let best = null;
+  for (let i = -1; i <= 8; i++) {
+    const nightKey = shiftDateKey(today, i);
+    for (const w of schedule.windows) {
+      if (w.from && nightKey < w.from) continue;
+      if (w.to && nightKey > w.to) continue;
+      if (!w.weekdays.includes(weekdayOf(nightKey))) continue;
+      const start = toMinutes(w.start);
+      let end = toMinutes(w.end);
+      if (end <= start) end += 24 * 60;
+      const endMs = localToUtc(nightKey, end, tz);
+      if (endMs > now && (best == null || endMs < best)) best = endMs;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,149 @@
+// Bounded history of computed payloads, so a shifted percentage can be traced
+// back to what changed. Every cached payload (refresh or re-aggregation) is
+// recorded unless it matches the window's newest snapshot.
+//
+//   <teamDataDir>/snapshots/index.json   [{ id, takenAt, reason, window, inputs, digest, pin }]
+//   <teamDataDir>/snapshots/<id>.json    the payload
+//
+// `inputs` is the payload's stamp (see computePayload): window, included report
+// codes, a content hash per stored input (overrides, altMap, excluded, ...)
+// and the last audit entry id. Pinned snapshots ({ label, by, at }, e.g. "end
+// of Phase 2") are official records: never pruned. Of the rest only the
+// newest SNAPSHOT_HISTORY are kept.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { writeFileAtomic } from './storage.js';
+
+const SNAPSHOT_HISTORY = Math.max(1, Number(process.env.SNAPSHOT_HISTORY ?? 50));
+
+export const contentHash = (value) => crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex').slice(0, 12);
+
+// What makes two snapshots "the same": results and inputs, not when or why
+function digestOf(payload) {
+  const { nights, rows, perPlayerDates, excludedNights, inputs } = payload;
+  return contentHash({ nights, rows, perPlayerDates, excludedNights, reports: inputs?.reports, versions: inputs?.versions });
+}
+
+export function createSnapshots(dir, { keep = SNAPSHOT_HISTORY } = {}) {
+  const root = path.join(dir, 'snapshots');
+  const indexPath = path.join(root, 'index.json');
+  const fileOf = (id) => path.join(root, `${Number(id)}.json`);
+
+  function readIndex() {
+    try { return JSON.parse(fs.readFileSync(indexPath, 'utf-8')); }
+    catch { return []; }
+  }
+  function writeIndex(index) {
+    fs.mkdirSync(root, { recursive: true });
+    writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  // Record a payload; null if it matches the newest snapshot of its window
+  function record(payload, reason = null) {
+    const index = readIndex();
+    const digest = digestOf(payload);
+    const previous = index.filter(s => s.window.key === payload.window.key).at(-1);
+    if (previous?.digest === digest) return null;
+
+    const entry = {
+      id: index.reduce((m, s) => Math.max(m, s.id), 0) + 1,
+      takenAt: new Date().toISOString(),
+      reason,
+      window: payload.window,
+      inputs: payload.inputs ?? null,
+      digest,
+      pin: null
+    };
+    fs.mkdirSync(root, { recursive: true });
+    writeFileAtomic(fileOf(entry.id), JSON.stringify(payload));
+    index.push(entry);
+
+    // Prune the oldest unpinned beyond `keep`
+    const unpinned = index.filter(s => !s.pin);
+    const drop = new Set(unpinned.slice(0, Math.max(0, unpinned.length - keep)).map(s => s.id));
+    for (const id of drop) fs.rmSync(fileOf(id), { force: true });
+    writeIndex(index.filter(s => !drop.has(s.id)));
+    return entry;
+  }
+
+  // Newest first. Filters (optional): windowKey, pinned
+  function list({ windowKey, pinned } = {}) {
+    return readIndex()
+      .filter(s => !windowKey || s.window.key === windowKey)
+      .filter(s => !pinned || s.pin)
+      .reverse();
+  }
+
+  // { ...entry, payload } or null
+  function get(id) {
+    const entry = readIndex().find(s => s.id === Number(id));
+    if (!entry) return null;
+    try { return { ...entry, payload: JSON.parse(fs.readFileSync(fileOf(id), 'utf-8')) }; }
+    catch { return null; }
+  }
+
+  // Newest snapshot of a window, or null
+  const latest = (windowKey) => list({ windowKey })[0] ?? null;
+
+  // pin = { label, by } to pin, null to unpin; returns the entry or null
+  function setPin(id, pin) {
+    const index = readIndex();
+    const entry = index.find(s => s.id === Number(id));
+    if (!entry) return null;
+    entry.pin = pin ? { label: pin.label, by: pin.by, at: new Date().toISOString() } : null;
+    writeIndex(index);
+    return entry;
+  }
+
+  return { dir: root, record, list, get, latest, setPin };
+}
+
+const meta = ({ id, takenAt, reason, window, pin }) => ({ id, takenAt, reason, window, pin });
+const listDiff = (before, after) => ({
+  added: after.filter(x => !before.includes(x)),
+  removed: before.filter(x => !after.includes(x))
+});
+
+/**
+ * What changed from snapshot `a` to `b`: players added/removed, per-player
+ * deltas (only players whose numbers moved), nights that appeared or
+ * disappeared, and which inputs differ.
+ */
+export function diffSnapshots(a, b) {
+  const rowsA = new Map(a.payload.rows.map(r => [r.name, r]));
+  const rowsB = new Map(b.payload.rows.map(r => [r.name, r]));
+  const deltas = [];
+  for (const [name, after] of rowsB) {
+    const before = rowsA.get(name);
+    if (!before) continue;
+    const moved = ['attended', 'possible', 'pct', 'score'].filter(k => before[k] !== after[k]);
+    if (!moved.length && before.status === after.status) continue;
+    deltas.push({
+      name,
+      attended: { before: before.attended, after: after.attended },
+      possible: { before: before.possible, after: after.possible },
+      pct: { before: before.pct, after: after.pct, delta: after.pct - before.pct },
+      score: { before: before.score ?? null, after: after.score ?? null },
+      status: { before: before.status ?? null, after: after.status ?? null }
+    });
+  }
+  deltas.sort((x, y) => Math.abs(y.pct.delta) - Math.abs(x.pct.delta) || x.name.localeCompare(y.name));
+
+  const inA = a.inputs || {}, inB = b.inputs || {};
+  const versions = new Set([...Object.keys(inA.versions || {}), ...Object.keys(inB.versions || {})]);
+  return {
+    a: meta(a),
+    b: meta(b),
+    players: listDiff([...rowsA.keys()], [...rowsB.keys()]),
+    deltas,
+    nights: listDiff(a.payload.nights, b.payload.nights),
+    inputs: {
+      window: a.window.key === b.window.key ? null : { before: a.window.key, after: b.window.key },
+      reports: listDiff(inA.reports || [], inB.reports || []),
+      changed: [...versions].filter(k => inA.versions?.[k] !== inB.versions?.[k]),
+      audit: { before: inA.auditId ?? null, after: inB.auditId ?? null }
+    }
+  };
+}
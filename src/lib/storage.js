@@ -1,33 +1,365 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_SCHEDULE, normalizeSchedule } from './schedule.js';
+import { normalizeSeasons } from './windows.js';
+import { createAuditLog, diffValues, setPath, getPath } from './audit.js';
+import { DEFAULT_NOTIFICATIONS, normalizeNotifications } from './notify.js';
+import { altMapProblem } from './altMap.js';
+import { DEFAULT_POLICY, normalizePolicy } from './policy.js';
+import { ABSENCE_STATUSES } from './absences.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '../../');
-const DATA_DIR = path.join(ROOT, 'data');
-const OVERRIDES = path.join(DATA_DIR, 'attendance_overrides.json'); // { [dateKey]: { [name]: fractional } }
-const ALTMAP = path.join(DATA_DIR, 'alt_map.json');                 // { altName: mainName }
+// DATA_DIR=<path> moves it elsewhere (e.g. a scratch dir for `npm run wcl:replay`)
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(ROOT, 'data');
 
-export function ensureFiles() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-  if (!fs.existsSync(OVERRIDES)) fs.writeFileSync(OVERRIDES, '{}', 'utf-8');
-  if (!fs.existsSync(ALTMAP)) fs.writeFileSync(ALTMAP, '{}', 'utf-8');
+// The "default" team keeps using ./data directly; every other team gets its
+// own ./data/teams/<id>/ with the same file names inside.
+export function teamDataDir(teamId) {
+  return teamId === 'default' ? DATA_DIR : path.join(DATA_DIR, 'teams', teamId);
 }
 
-export function readOverrides() {
-  ensureFiles();
-  return JSON.parse(fs.readFileSync(OVERRIDES, 'utf-8'));
+// Thrown when a data file on disk can't be read, parsed or fails validation.
+// Carries the file so the error tells an admin exactly what to fix.
+export class StorageError extends Error {
+  constructor(file, message) {
+    super(`${path.relative(ROOT, file)}: ${message}`);
+    this.name = 'StorageError';
+    this.file = file;
+  }
 }
-export function writeOverrides(data) {
-  ensureFiles();
-  fs.writeFileSync(OVERRIDES, JSON.stringify(data, null, 2), 'utf-8');
+
+// Thrown when data about to be written fails its kind's validation: the
+// request was bad, not the file (the error handler answers 400).
+export class ValidationError extends Error {
+  constructor(kind, message) {
+    super(`${kind}: ${message}`);
+    this.name = 'ValidationError';
+    this.kind = kind;
+    this.status = 400;
+  }
 }
 
-export function readAltMap() {
-  ensureFiles();
-  return JSON.parse(fs.readFileSync(ALTMAP, 'utf-8'));
+// Write to a temp file in the same dir, then rename over the target, so a
+// reader (or a crash) never sees a half-written file.
+export function writeFileAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+  fs.writeFileSync(tmp, text, 'utf-8');
+  fs.renameSync(tmp, file);
 }
-export function writeAltMap(data) {
-  ensureFiles();
-  fs.writeFileSync(ALTMAP, JSON.stringify(data, null, 2), 'utf-8');
+
+// ------------ schema ------------
+// Files are stored as { schemaVersion, data }. Version 1 is the original
+// bare shape (no envelope); migrations[n] upgrades data from version n.
+export const SCHEMA_VERSION = 2;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isObj = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function mustBe(ok, msg) {
+  if (!ok) throw new Error(msg);
 }
+
+const KINDS = {
+  // { [dateKey]: { [name]: fractional } }
+  overrides: {
+    file: 'attendance_overrides.json',
+    empty: () => ({}),
+    audit: { depth: 2 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { dateKey: { name: fractional } }');
+      for (const [dk, names] of Object.entries(d)) {
+        mustBe(DATE_RE.test(dk), `bad dateKey "${dk}"`);
+        mustBe(isObj(names), `${dk}: expected { name: fractional }`);
+        for (const [n, v] of Object.entries(names)) mustBe(typeof v === 'number' && !Number.isNaN(v), `${dk}.${n}: fractional must be a number`);
+      }
+      return d;
+    }
+  },
+  // { altName: mainName }
+  altMap: {
+    file: 'alt_map.json',
+    empty: () => ({}),
+    audit: { depth: 1 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { alt: main }');
+      for (const [a, m] of Object.entries(d)) mustBe(typeof m === 'string' && m, `${a}: main must be a non-empty string`);
+      const problem = altMapProblem(d);
+      mustBe(!problem, problem);
+      return d;
+    }
+  },
+  // { oldName: newName } — character renames (see identity.js)
+  renames: {
+    file: 'renames.json',
+    empty: () => ({}),
+    audit: { depth: 1 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { oldName: newName }');
+      for (const [a, b] of Object.entries(d)) mustBe(typeof b === 'string' && b, `${a}: new name must be a non-empty string`);
+      // same shape as the alt map: no self-renames, no loops
+      const problem = altMapProblem(d);
+      mustBe(!problem, problem);
+      return d;
+    }
+  },
+  // { [suggestionKey]: { alt, main, at } } — alt suggestions officers dismissed
+  altDismissed: {
+    file: 'alt_dismissed.json',
+    empty: () => ({}),
+    audit: { depth: 1 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { key: { alt, main, at } }');
+      return d;
+    }
+  },
+  // { [dateKey]: { [name]: { credit: number|null, note } } }
+  bench: {
+    file: 'bench.json',
+    empty: () => ({}),
+    audit: { depth: 2 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { dateKey: { name: { credit, note } } }');
+      for (const [dk, names] of Object.entries(d)) {
+        mustBe(DATE_RE.test(dk), `bad dateKey "${dk}"`);
+        mustBe(isObj(names), `${dk}: expected { name: { credit, note } }`);
+        for (const [n, e] of Object.entries(names)) {
+          mustBe(isObj(e) && (e.credit == null || typeof e.credit === 'number'), `${dk}.${n}: expected { credit: number|null, note }`);
+        }
+      }
+      return d;
+    }
+  },
+  // [{ dateKey, reason? }]
+  excluded: {
+    file: 'excluded_dates.json',
+    empty: () => [],
+    audit: { depth: 1, key: 'dateKey' },
+    // v1: the legacy router briefly created this file as {} — treat as empty
+    migrations: { 1: (d) => (Array.isArray(d) ? d : []) },
+    validate(d) {
+      mustBe(Array.isArray(d), 'expected an array of { dateKey, reason }');
+      d.forEach((e, i) => mustBe(isObj(e) && DATE_RE.test(String(e.dateKey)), `[${i}]: bad dateKey`));
+      return d;
+    }
+  },
+  schedule: {
+    file: 'raid_schedule.json',
+    empty: () => structuredClone(DEFAULT_SCHEDULE),
+    audit: { depth: 0 },
+    validate: normalizeSchedule
+  },
+  // { [name]: { joined: dateKey|null, left: dateKey|null, note } } — eligibility for pro-rating
+  roster: {
+    file: 'roster.json',
+    empty: () => ({}),
+    audit: { depth: 1 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { name: { joined, left, note } }');
+      for (const [n, e] of Object.entries(d)) {
+        mustBe(isObj(e), `${n}: expected { joined, left, note }`);
+        for (const k of ['joined', 'left']) mustBe(e[k] == null || DATE_RE.test(String(e[k])), `${n}.${k} must be YYYY-MM-DD`);
+        mustBe(!e.joined || !e.left || e.joined <= e.left, `${n}: joined must not be after left`);
+      }
+      return d;
+    }
+  },
+  // [{ id, name, from, to, reason, status, ... }] — planned absences (see absences.js)
+  absences: {
+    file: 'absences.json',
+    empty: () => [],
+    audit: { depth: 1, key: 'id' },
+    validate(d) {
+      mustBe(Array.isArray(d), 'expected an array of { id, name, from, to, reason, status }');
+      d.forEach((a, i) => {
+        mustBe(isObj(a) && a.id && a.name, `[${i}]: id and name required`);
+        mustBe(DATE_RE.test(String(a.from)) && DATE_RE.test(String(a.to)) && a.from <= a.to, `[${i}]: from/to must be YYYY-MM-DD, from first`);
+        mustBe(ABSENCE_STATUSES.includes(a.status), `[${i}]: status must be one of ${ABSENCE_STATUSES.join(', ')}`);
+      });
+      return d;
+    }
+  },
+  // { [name]: { tokenHash, createdAt, createdBy } } — per-player absence links
+  absenceLinks: {
+    file: 'absence_links.json',
+    empty: () => ({}),
+    audit: { depth: 1 },
+    validate(d) {
+      mustBe(isObj(d), 'expected an object of { name: { tokenHash, createdAt } }');
+      for (const [n, e] of Object.entries(d)) mustBe(isObj(e) && typeof e.tokenHash === 'string', `${n}: tokenHash required`);
+      return d;
+    }
+  },
+  // How nights count (see policy.js)
+  policy: {
+    file: 'policy.json',
+    empty: () => structuredClone(DEFAULT_POLICY),
+    audit: { depth: 1 },
+    validate: normalizePolicy
+  },
+  // Discord templates/thresholds (see notify.js)
+  notifications: {
+    file: 'notifications.json',
+    empty: () => structuredClone(DEFAULT_NOTIFICATIONS),
+    audit: { depth: 1 },
+    validate: normalizeNotifications
+  },
+  seasons: {
+    file: 'seasons.json',
+    empty: () => [],
+    audit: { depth: 1, key: 'id' },
+    validate: normalizeSeasons
+  }
+};
+
+// Array kinds are diffed as objects keyed by their id field
+function keyed(kind, data) {
+  const { key } = KINDS[kind].audit;
+  return key ? Object.fromEntries(data.map(e => [String(e[key]), e])) : data;
+}
+function unkeyed(kind, data) {
+  return KINDS[kind].audit.key ? Object.values(data ?? {}) : data;
+}
+
+function migrate(kind, raw) {
+  const enveloped = isObj(raw) && Number.isInteger(raw.schemaVersion) && 'data' in raw;
+  let version = enveloped ? raw.schemaVersion : 1;
+  let data = enveloped ? raw.data : raw;
+  if (version > SCHEMA_VERSION) throw new Error(`schemaVersion ${version} is newer than this server (${SCHEMA_VERSION})`);
+  for (; version < SCHEMA_VERSION; version++) {
+    const step = KINDS[kind].migrations?.[version];
+    if (step) data = step(data);
+  }
+  return data;
+}
+
+/**
+ * The one storage layer for a team's data dir. Both routers go through it.
+ *
+ *   read(kind)                  validated, migrated data (empty default if the file is missing)
+ *   update(kind, fn, meta?)     fn(current) -> next; validated (ValidationError), then written atomically
+ *   write(kind, data, meta?)    update() that ignores the current value
+ *   writeMany({ kind: data }, meta?)  validate all, then write all (one audit entry)
+ *   validate(kind, data)        throws on bad data without touching disk
+ *   revert(id, meta?, { force })  undo one audit entry
+ *   revertTo(ts, meta?)         undo every audit entry after ts
+ *   audit                       the team's audit log (list/get), see audit.js
+ *
+ * Every write that changes something appends an audit entry; meta is
+ * { actor, action, note } (see auditMeta in audit.js).
+ * update() is synchronous end to end, so mutations are serialized by the
+ * event loop: no other request can read or write in between.
+ * Kinds: overrides, altMap, renames, altDismissed, bench, excluded, schedule, roster,
+ * absences, absenceLinks, policy, notifications, seasons (see KINDS).
+ */
+export function createStore(dir = DATA_DIR) {
+  const audit = createAuditLog(dir);
+  const fileOf = (kind) => {
+    if (!KINDS[kind]) throw new Error(`unknown storage kind "${kind}"`);
+    return path.join(dir, KINDS[kind].file);
+  };
+
+  function ensureFiles() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function read(kind) {
+    const file = fileOf(kind);
+    let text;
+    try { text = fs.readFileSync(file, 'utf-8'); }
+    catch (e) {
+      if (e.code === 'ENOENT') return KINDS[kind].empty();
+      throw new StorageError(file, e.message);
+    }
+    try {
+      return KINDS[kind].validate(migrate(kind, JSON.parse(text)));
+    } catch (e) {
+      throw new StorageError(file, e.message);
+    }
+  }
+
+  function validate(kind, data) {
+    fileOf(kind);
+    return KINDS[kind].validate(data);
+  }
+
+  // Validate every kind first, then write them and log one entry for the lot
+  function commit(fnByKind, meta = {}) {
+    const staged = Object.entries(fnByKind).map(([kind, fn]) => {
+      const file = fileOf(kind);
+      const before = read(kind);
+      try { return { kind, file, before, next: KINDS[kind].validate(fn(structuredClone(before))) }; }
+      catch (e) { throw e instanceof StorageError ? e : new ValidationError(kind, e.message); }
+    });
+    const changes = [];
+    for (const { kind, file, before, next } of staged) {
+      const diff = diffValues(keyed(kind, before), keyed(kind, next), KINDS[kind].audit.depth);
+      if (!diff.length) continue;
+      writeFileAtomic(file, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data: next }, null, 2));
+      changes.push(...diff.map(c => ({ kind, ...c })));
+    }
+    const entry = changes.length ? audit.append(meta, changes) : null;
+    return { next: Object.fromEntries(staged.map(s => [s.kind, s.next])), entry };
+  }
+
+  // Set each { kind, path } back to `value` on top of the current data
+  function applyValues(values, meta) {
+    const fns = {};
+    for (const kind of new Set(values.map(v => v.kind))) {
+      fns[kind] = (cur) => unkeyed(kind, values
+        .filter(v => v.kind === kind)
+        .reduce((acc, v) => setPath(acc, v.path, v.value), keyed(kind, cur)));
+    }
+    return commit(fns, meta).entry;
+  }
+
+  /**
+   * Undo one audit entry. A change whose path has been edited again since
+   * is a conflict: nothing is written unless `force`.
+   * Returns { entry, conflicts } (entry null if nothing changed).
+   */
+  function revert(id, meta = {}, { force = false } = {}) {
+    const target = audit.get(id);
+    if (!target) return null;
+    const current = {};
+    const conflicts = target.changes.filter(c => {
+      current[c.kind] ??= keyed(c.kind, read(c.kind));
+      return JSON.stringify(getPath(current[c.kind], c.path)) !== JSON.stringify(c.after);
+    });
+    if (conflicts.length && !force) return { entry: null, conflicts };
+    const entry = applyValues(
+      target.changes.map(c => ({ kind: c.kind, path: c.path, value: c.before })),
+      { action: 'revert', ...meta, revertOf: target.id }
+    );
+    return { entry, conflicts };
+  }
+
+  // Roll every path touched after `ts` back to its value at `ts`
+  function revertTo(ts, meta = {}) {
+    const after = audit.readAll().filter(e => e.ts > ts).reverse(); // newest first; oldest `before` wins
+    const values = after.flatMap(e => e.changes.map(c => ({ kind: c.kind, path: c.path, value: c.before })));
+    if (!values.length) return { entry: null, undone: 0 };
+    return { entry: applyValues(values, { action: 'revert', ...meta }), undone: after.length };
+  }
+
+  return {
+    dir,
+    audit,
+    ensureFiles,
+    read,
+    update: (kind, fn, meta) => commit({ [kind]: fn }, meta).next[kind],
+    write: (kind, data, meta) => commit({ [kind]: () => data }, meta).next[kind],
+    writeMany: (dataByKind, meta) => commit(
+      Object.fromEntries(Object.entries(dataByKind).map(([k, d]) => [k, () => d])), meta
+    ).entry,
+    validate,
+    revert,
+    revertTo
+  };
+}
+
+// Default team's store, for callers that predate teams
+const defaultStore = createStore(DATA_DIR);
+export const ensureFiles = defaultStore.ensureFiles;
@@ -0,0 +1,83 @@
+// Raid team configs. One deployment can serve several teams/guilds, each
+// with its own guild lookup, timezone and data dir (overrides, alts, bench,
+// schedule, cached payloads...).
+//
+// data/teams.json (optional):
+//   [ { id, name?, guildName, serverSlug, region, timezone?, allowList?: [name], discordWebhookUrl? } ]
+//
+// Without that file there is a single "default" team built from the
+// GUILD_* / TIMEZONE env vars, stored directly in ./data as before.
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, teamDataDir } from './storage.js';
+
+const TEAMS_FILE = path.join(DATA_DIR, 'teams.json');
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+function envTeam() {
+  return {
+    id: 'default',
+    name: process.env.GUILD_NAME || 'Tempest',
+    guildName: process.env.GUILD_NAME || 'Tempest',
+    serverSlug: process.env.GUILD_SERVER_SLUG || 'dreamscythe',
+    region: process.env.GUILD_REGION || 'us',
+    timezone: process.env.TIMEZONE || 'America/Chicago',
+    allowList: null,
+    discordWebhookUrl: process.env.DISCORD_WEBHOOK_URL || null
+  };
+}
+
+export function normalizeTeam(t, where = 'team') {
+  const id = String(t?.id || '').trim().toLowerCase();
+  if (!ID_RE.test(id)) throw new Error(`${where}.id must be lowercase letters, digits and dashes`);
+  for (const k of ['guildName', 'serverSlug', 'region']) {
+    if (!String(t?.[k] || '').trim()) throw new Error(`${where}.${k} required`);
+  }
+  const timezone = String(t.timezone || process.env.TIMEZONE || 'America/Chicago');
+  try { new Intl.DateTimeFormat('en-US', { timeZone: timezone }); }
+  catch { throw new Error(`${where}.timezone "${timezone}" is not a valid IANA zone`); }
+  if (t.allowList != null && !Array.isArray(t.allowList)) throw new Error(`${where}.allowList must be an array of names`);
+  if (t.discordWebhookUrl != null && !/^https?:\/\//.test(String(t.discordWebhookUrl))) {
+    throw new Error(`${where}.discordWebhookUrl must be an http(s) URL`);
+  }
+
+  return {
+    id,
+    name: String(t.name || t.guildName),
+    guild: {
+      name: String(t.guildName),
+      serverSlug: String(t.serverSlug).toLowerCase(),
+      serverRegion: String(t.region).toLowerCase()
+    },
+    timezone,
+    // Only these mains appear in rows when set (case-insensitive)
+    allowList: Array.isArray(t.allowList) && t.allowList.length ? t.allowList.map(n => String(n).trim()).filter(Boolean) : null,
+    // Secret-ish: used by lib/notify.js only, never in describeTeam()
+    discordWebhookUrl: t.discordWebhookUrl ? String(t.discordWebhookUrl) : null,
+    dataDir: teamDataDir(id)
+  };
+}
+
+export function readTeams() {
+  if (!fs.existsSync(TEAMS_FILE)) return [normalizeTeam(envTeam())];
+  const raw = JSON.parse(fs.readFileSync(TEAMS_FILE, 'utf-8'));
+  if (!Array.isArray(raw) || !raw.length) throw new Error('teams.json must be a non-empty array');
+  const seen = new Set();
+  return raw.map((t, i) => {
+    const team = normalizeTeam(t, `teams[${i}]`);
+    if (seen.has(team.id)) throw new Error(`teams.json: duplicate id "${team.id}"`);
+    seen.add(team.id);
+    return team;
+  });
+}
+
+// Team served on the un-prefixed /api/attendance and /api/legacy routes
+export function primaryTeam(teams) {
+  return teams.find(t => t.id === 'default') || teams[0];
+}
+
+// Public view (no data dir paths or webhook URLs)
+export function describeTeam(t) {
+  return { id: t.id, name: t.name, guild: t.guild, timezone: t.timezone, allowList: t.allowList };
+}
@@ -1,11 +1,99 @@
-import fetch from 'node-fetch';
+import realFetch from 'node-fetch';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fixtureFetch } from './wclFixtures.js';
 
-const WCL_BASE = 'https://classic.warcraftlogs.com';
+// WCL_BASE_URL points at another host (e.g. the local mock: npm run wcl:mock)
+const WCL_BASE = (process.env.WCL_BASE_URL || 'https://classic.warcraftlogs.com').replace(/\/$/, '');
 const TOKEN_URL = `${WCL_BASE}/oauth/token`;
 const GRAPHQL_URL = `${WCL_BASE}/api/v2/client`;
 
+// WCL_MODE=record|replay swaps fetch for the fixture recorder/player (see wclFixtures.js)
+const WCL_MODE = (process.env.WCL_MODE || '').trim().toLowerCase();
+export const WCL_FIXTURES_DIR = path.resolve(process.env.WCL_FIXTURES_DIR || './fixtures/wcl');
+const fetch = WCL_MODE ? fixtureFetch(WCL_MODE, WCL_FIXTURES_DIR, realFetch) : realFetch;
+
+// ------------ tuning (env) ------------
+const MAX_RETRIES = Number(process.env.WCL_MAX_RETRIES ?? 4);        // extra attempts after the first
+const BASE_DELAY_MS = Number(process.env.WCL_RETRY_BASE_MS ?? 1000);  // backoff base, doubled per attempt
+const CONCURRENCY = Math.max(1, Number(process.env.WCL_CONCURRENCY ?? 3));
+const POINTS_RESERVE = Number(process.env.WCL_POINTS_RESERVE ?? 100); // pause when fewer points than this remain
+const RATE_CHECK_MS = 30_000;                                         // re-read rateLimitData at most this often
+
+const RATE_LIMIT_GQL = `query RateLimit { rateLimitData { limitPerHour pointsSpentThisHour pointsResetIn } }`;
+
 let cached = { token: null, exp: 0 };
 
+// Running totals since process start; refreshes diff two snapshots.
+const usage = { requests: 0, retries: 0, pausedMs: 0 };
+let rate = { limitPerHour: null, pointsSpentThisHour: null, pointsResetIn: null, checkedAt: 0 };
+let rateCheck = null; // in-flight rateLimitData promise, shared by concurrent callers
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 'retry' { attempt, delayMs, error } before each backoff and 'pause'
+// { waitMs, pointsSpentThisHour, limitPerHour } when the point budget runs
+// low, so a running refresh can report them (see jobs.js reportProgress)
+export const wclEvents = new EventEmitter();
+
+class RetryableError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function retryAfterMs(r) {
+  const h = r.headers.get('retry-after');
+  if (!h) return null;
+  const secs = Number(h);
+  if (!Number.isNaN(secs)) return secs * 1000;
+  const at = Date.parse(h);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Throws RetryableError for 429/5xx, plain Error for other non-2xx.
+async function checkStatus(r, what) {
+  if (r.ok) return;
+  const text = await r.text().catch(() => '');
+  const msg = `${what}: ${r.status} ${text.slice(0, 200)}`;
+  if (r.status === 429 || r.status >= 500) throw new RetryableError(msg, retryAfterMs(r));
+  throw new Error(msg);
+}
+
+// Network-level failures from node-fetch (DNS, reset, timeout) are worth another try.
+function isRetryable(err) {
+  return err instanceof RetryableError || err?.name === 'FetchError' || err?.type === 'system';
+}
+
+async function withRetry(fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= MAX_RETRIES) throw err;
+      // Full jitter: random delay up to base * 2^attempt, but never shorter than Retry-After
+      const backoff = Math.random() * BASE_DELAY_MS * 2 ** attempt;
+      const delayMs = Math.round(Math.max(backoff, err.retryAfterMs ?? 0));
+      usage.retries += 1;
+      wclEvents.emit('retry', { attempt: attempt + 1, delayMs, error: err.message });
+      await sleep(delayMs);
+    }
+  }
+}
+
+// ------------ concurrency cap ------------
+let active = 0;
+const waiting = [];
+async function acquire() {
+  if (active < CONCURRENCY) { active += 1; return; }
+  await new Promise(resolve => waiting.push(resolve));
+}
+function release() {
+  const next = waiting.shift();
+  if (next) next(); else active -= 1;
+}
+
 async function getToken() {
   const now = Date.now();
   if (cached.token && now < cached.exp - 60_000) return cached.token;
@@ -16,25 +104,88 @@ async function getToken() {
     client_secret: process.env.WCL_CLIENT_SECRET || ''
   });
 
-  const r = await fetch(TOKEN_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body
+  const json = await withRetry(async () => {
+    const r = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    await checkStatus(r, 'WCL token failed');
+    return r.json();
   });
-  if (!r.ok) throw new Error(`WCL token failed: ${r.status} ${await r.text()}`);
-  const json = await r.json();
   cached = { token: json.access_token, exp: Date.now() + json.expires_in * 1000 };
   return cached.token;
 }
 
-export async function wclQuery(query, variables) {
+async function postGraphQL(query, variables) {
   const token = await getToken();
-  const r = await fetch(GRAPHQL_URL, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables })
+  return withRetry(async () => {
+    usage.requests += 1;
+    const r = await fetch(GRAPHQL_URL, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables })
+    });
+    await checkStatus(r, 'WCL query failed');
+    const json = await r.json();
+    if (json.errors) throw new Error(`WCL error: ${JSON.stringify(json.errors)}`);
+    return json.data;
   });
-  const json = await r.json();
-  if (json.errors) throw new Error(`WCL error: ${JSON.stringify(json.errors)}`);
-  return json.data;
+}
+
+// Re-read rateLimitData (shared by concurrent callers). Failures are swallowed:
+// a broken budget check shouldn't block the queries themselves.
+export async function checkRateLimit() {
+  rateCheck ||= postGraphQL(RATE_LIMIT_GQL, {})
+    .then(d => { rate = { ...rate, ...d?.rateLimitData, checkedAt: Date.now() }; })
+    .catch(() => { rate.checkedAt = Date.now(); })
+    .finally(() => { rateCheck = null; });
+  await rateCheck;
+}
+
+// Refresh rateLimitData if stale, then wait out the hour if the budget is nearly spent.
+async function respectPointBudget() {
+  if (Date.now() - rate.checkedAt > RATE_CHECK_MS) await checkRateLimit();
+  if (rate.limitPerHour == null) return;
+  if (rate.limitPerHour - rate.pointsSpentThisHour >= POINTS_RESERVE) return;
+
+  const waitMs = Math.max(1, rate.pointsResetIn ?? 60) * 1000;
+  console.warn(`[wcl] ${rate.pointsSpentThisHour}/${rate.limitPerHour} points used; pausing ${Math.round(waitMs / 1000)}s`);
+  usage.pausedMs += waitMs;
+  wclEvents.emit('pause', { waitMs, pointsSpentThisHour: rate.pointsSpentThisHour, limitPerHour: rate.limitPerHour });
+  await sleep(waitMs);
+  rate.checkedAt = 0; // force a fresh read after the reset
+}
+
+export async function wclQuery(query, variables) {
+  await acquire();
+  try {
+    await respectPointBudget();
+    return await postGraphQL(query, variables);
+  } finally {
+    release();
+  }
+}
+
+// Snapshot of counters + last known point budget. Pass an earlier snapshot
+// to get just the delta (requests/retries/pausedMs/pointsSpent) since then.
+export function wclUsage(since = null) {
+  const now = {
+    requests: usage.requests,
+    retries: usage.retries,
+    pausedMs: usage.pausedMs,
+    limitPerHour: rate.limitPerHour,
+    pointsSpentThisHour: rate.pointsSpentThisHour,
+    pointsResetIn: rate.pointsResetIn
+  };
+  if (!since) return now;
+  const spent = (now.pointsSpentThisHour ?? 0) - (since.pointsSpentThisHour ?? 0);
+  return {
+    ...now,
+    requests: now.requests - since.requests,
+    retries: now.retries - since.retries,
+    pausedMs: now.pausedMs - since.pausedMs,
+    // Negative means the hourly window reset mid-refresh; report what we can see
+    pointsSpent: spent >= 0 ? Number(spent.toFixed(2)) : now.pointsSpentThisHour
+  };
 }
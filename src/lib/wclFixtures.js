@@ -0,0 +1,106 @@
+// Record/replay of WCL HTTP exchanges, for running the pipeline offline.
+//
+//   WCL_MODE=record  -> real requests; every token + GraphQL exchange is written to WCL_FIXTURES_DIR
+//   WCL_MODE=replay  -> no network; responses come from WCL_FIXTURES_DIR (missing fixture = error)
+//
+// Fixture files: <dir>/token.json and <dir>/<OperationName>-<hash>.json
+//   { request: { query, variables }, response: { status, body } }
+//
+// The GraphQL key is the query text (whitespace-collapsed) plus all of its
+// variables, window bounds included, so each window replays its own report
+// list. Rolling windows (?weeks=, or a range ending in the last two days) end
+// at "now", so their recordings never match again: record fixed past ranges
+// (?from=&to= or a finished season). Access tokens are never written
+// to disk. fixtures/replay is a recorded set, run with `npm run wcl:replay`.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Response } from 'node-fetch';
+
+const REPLAY_TOKEN = { access_token: 'replay-token', token_type: 'Bearer', expires_in: 3600 };
+// Served when a recording has no rateLimitData exchange, so replays never pause
+const REPLAY_RATE_LIMIT = { data: { rateLimitData: { limitPerHour: 3600, pointsSpentThisHour: 0, pointsResetIn: 3600 } } };
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function operationName(query) {
+  return /(?:query|mutation)\s+([A-Za-z0-9_]+)/.exec(query)?.[1] || 'Query';
+}
+
+export function fixtureName({ query, variables }) {
+  const normalized = String(query).replace(/\s+/g, ' ').trim();
+  const hash = crypto.createHash('sha1').update(normalized + '\n' + stableStringify(variables || {})).digest('hex').slice(0, 12);
+  return `${operationName(query)}-${hash}.json`;
+}
+
+function isTokenRequest(url) {
+  return String(url).endsWith('/oauth/token');
+}
+
+function readFixture(dir, name) {
+  try { return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8')); }
+  catch { return null; }
+}
+function writeFixture(dir, name, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(data, null, 2), 'utf-8');
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Look up the stored response for a request. `body` is the parsed GraphQL
+ * request ({ query, variables }), or null for the token endpoint.
+ * Returns { status, body } or null. Shared with the mock server.
+ */
+export function lookupFixture(dir, body) {
+  if (!body) return readFixture(dir, 'token.json')?.response || { status: 200, body: REPLAY_TOKEN };
+  const hit = readFixture(dir, fixtureName(body))?.response;
+  if (hit) return hit;
+  if (/rateLimitData/.test(body.query)) return { status: 200, body: REPLAY_RATE_LIMIT };
+  return null;
+}
+
+/**
+ * A fetch() stand-in for the given mode. `realFetch` is used for record mode.
+ */
+export function fixtureFetch(mode, dir, realFetch) {
+  if (mode === 'replay') {
+    return async (url, init = {}) => {
+      const body = isTokenRequest(url) ? null : JSON.parse(init.body);
+      const hit = lookupFixture(dir, body);
+      if (!hit) throw new Error(`WCL replay: no fixture ${fixtureName(body)} in ${dir}`);
+      return jsonResponse(hit.status, hit.body);
+    };
+  }
+
+  if (mode === 'record') {
+    return async (url, init = {}) => {
+      const r = await realFetch(url, init);
+      const text = await r.text();
+      let json; try { json = JSON.parse(text); } catch { json = text; }
+
+      // Transient failures get retried by wcl.js; only keep what a replay should see
+      const transient = r.status === 429 || r.status >= 500;
+      if (!transient && isTokenRequest(url)) {
+        const redacted = json && typeof json === 'object' ? { ...json, access_token: REPLAY_TOKEN.access_token } : json;
+        writeFixture(dir, 'token.json', { response: { status: r.status, body: redacted } });
+      } else if (!transient) {
+        const request = JSON.parse(init.body);
+        writeFixture(dir, fixtureName(request), { request, response: { status: r.status, body: json } });
+      }
+      return new Response(text, { status: r.status, headers: r.headers });
+    };
+  }
+
+  throw new Error(`unknown WCL_MODE "${mode}" (expected record or replay)`);
+}
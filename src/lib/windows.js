@@ -0,0 +1,89 @@
+// Attendance windows: which span of raid nights a payload covers.
+//
+// A window comes from query params (?season=, ?from=&to=, ?weeks=) and
+// resolves to the WCL fetch range plus optional night-key bounds. Each
+// window has a stable cache key so /latest can serve it without recomputing.
+//
+// Seasons (data/seasons.json): [ { id, name, from: 'YYYY-MM-DD', to?: 'YYYY-MM-DD' } ]
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_WEEKS = 6;
+const MAX_WEEKS = 104;
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export function normalizeSeasons(input) {
+  if (!Array.isArray(input)) throw new Error('seasons must be an array');
+  const seen = new Set();
+  return input.map((s, i) => {
+    const season = normalizeSeason(s, `seasons[${i}]`);
+    if (seen.has(season.id)) throw new Error(`duplicate season id "${season.id}"`);
+    seen.add(season.id);
+    return season;
+  });
+}
+
+export function normalizeSeason(s, where = 'season') {
+  const name = String(s?.name || '').trim();
+  const id = slug(s?.id || name);
+  if (!id) throw new Error(`${where}: id or name required`);
+  if (!DATE_RE.test(String(s?.from || ''))) throw new Error(`${where}.from must be YYYY-MM-DD`);
+  const to = s?.to || null;
+  if (to && !DATE_RE.test(String(to))) throw new Error(`${where}.to must be YYYY-MM-DD`);
+  if (to && s.from > to) throw new Error(`${where}.from must not be after to`);
+  return { id, name: name || id, from: s.from, to };
+}
+
+// Reports are fetched a day either side of a date range; nightKeyFor decides
+// which local night each one lands on and the from/to bounds do the rest.
+function dateRange(from, to, now) {
+  const start = Date.parse(`${from}T00:00:00Z`) - DAY_MS;
+  const end = to ? Math.min(now, Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS) : now;
+  return { start, end };
+}
+
+/**
+ * Resolve request query params into a window:
+ *   { key, start, end, from, to, weeks, season }
+ * `from`/`to` bound the night keys (inclusive); null means unbounded.
+ * Throws on bad input (routes turn that into a 400).
+ */
+export function resolveWindow(query = {}, seasons = [], now = Date.now()) {
+  const { season: seasonId, from, to, weeks } = query;
+
+  if (seasonId) {
+    const season = seasons.find(s => s.id === String(seasonId));
+    if (!season) throw new Error(`unknown season "${seasonId}"`);
+    return { key: `season-${season.id}`, ...dateRange(season.from, season.to, now), from: season.from, to: season.to, weeks: null, season };
+  }
+
+  if (from || to) {
+    if (!DATE_RE.test(String(from || ''))) throw new Error('from must be YYYY-MM-DD');
+    if (to && !DATE_RE.test(String(to))) throw new Error('to must be YYYY-MM-DD');
+    if (to && from > to) throw new Error('from must not be after to');
+    return { key: `range-${from}_${to || 'now'}`, ...dateRange(from, to, now), from, to: to || null, weeks: null, season: null };
+  }
+
+  const n = weeks == null || weeks === '' ? DEFAULT_WEEKS : Number(weeks);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_WEEKS) throw new Error(`weeks must be an integer 1-${MAX_WEEKS}`);
+  return { key: `weeks-${n}`, start: now - DAY_MS * 7 * n, end: now, from: null, to: null, weeks: n, season: null };
+}
+
+export function defaultWindow(now = Date.now()) {
+  return resolveWindow({}, [], now);
+}
+
+// What gets echoed back in the payload (no ms timestamps, no season internals)
+export function describeWindow(w) {
+  return {
+    key: w.key,
+    from: w.from,
+    to: w.to,
+    weeks: w.weeks,
+    season: w.season ? { id: w.season.id, name: w.season.name } : null
+  };
+}
@@ -0,0 +1,31 @@
+// Officer accounts / API tokens (server-wide, not per team). Mounted at /api/admin.
+import express from 'express';
+import { requireRole, listAccounts, issueToken, revokeToken } from '../lib/accounts.js';
+
+const router = express.Router();
+
+// Who the current bearer token belongs to (handy for the admin UI)
+router.get('/whoami', requireRole('viewer'), (req, res) => {
+  res.json({ identity: req.identity });
+});
+
+router.get('/tokens', requireRole('admin'), (_req, res) => {
+  res.json({ accounts: listAccounts() });
+});
+
+// { name, role, expiresInDays? | expiresAt? } -> { account, token } (token is shown only once)
+router.post('/tokens', express.json(), requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(issueToken(req.body || {}, req.identity.name));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+router.delete('/tokens/:id', requireRole('admin'), (req, res) => {
+  const account = revokeToken(req.params.id);
+  if (!account) return res.status(404).json({ error: 'not found' });
+  res.json({ ok: true, account });
+});
+
+export default router;
@@ -1,60 +1,36 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { wclQuery } from '../lib/wcl.js';
-import { readAltMap, readOverrides, writeOverrides, writeAltMap } from '../lib/storage.js';
-
-const router = express.Router();
-
-// ------------ data dir (align with storage.js root ./data) ------------
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, '../../');                  // project root
-const DATA_DIR = path.join(ROOT, 'data');                        // ./data
-const EXCLUDED_PATH = path.join(DATA_DIR, 'excluded_dates.json'); // ARRAY file written by memory router
-const LATEST_PATH = path.join(DATA_DIR, 'attendance.latest.json');
-
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  // don't auto-create EXCLUDED_PATH with {} (object); we want an Array shape.
-}
-
-function readExcludedArray() {
-  ensureDataDir();
-  try {
-    const txt = fs.readFileSync(EXCLUDED_PATH, 'utf-8');
-    const arr = JSON.parse(txt);
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
-  }
-}
-function writeExcludedArray(arr) {
-  ensureDataDir();
-  fs.writeFileSync(EXCLUDED_PATH, JSON.stringify(Array.isArray(arr) ? arr : [], null, 2), 'utf-8');
-}
+import { wclQuery, wclUsage, wclEvents, checkRateLimit } from '../lib/wcl.js';
+import { createStore, writeFileAtomic, StorageError } from '../lib/storage.js';
+import { flattenAltMap, linkAlt, unknownNameWarnings, suggestAltLinks, suggestionKey } from '../lib/altMap.js';
+import { createIdentity, canonicalName, charKey, findKey, recordRename, withRealm } from '../lib/identity.js';
+import { auditMeta } from '../lib/audit.js';
+import { requireRole } from '../lib/accounts.js';
+import { resolvePlayer, playerHistory } from '../lib/playerHistory.js';
+import { GRID_FORMATS, attendanceGrid, toCsv, toXlsx } from '../lib/spreadsheet.js';
+import { excusedNights, linkOwner, newAbsence, newLinkToken, normalizeAbsenceRequest, ABSENCE_STATUSES } from '../lib/absences.js';
+import { nightWeights, normalizePolicy, statusFor } from '../lib/policy.js';
+import { EVENTS, TEMPLATE_VARS, createNotifier, normalizeNotifications } from '../lib/notify.js';
+import { nightKeyFor, nextNightEnd, normalizeSchedule, weekStartOf, windowFor } from '../lib/schedule.js';
+import { judgeReport } from '../lib/reportRules.js';
+import { encounterBreakdown, playerEncounters } from '../lib/encounters.js';
+import { contentHash, createSnapshots, diffSnapshots } from '../lib/snapshots.js';
+import { resolveWindow, defaultWindow, describeWindow, normalizeSeason } from '../lib/windows.js';
+import { getCachedReport, putCachedReport, isReusable, listCachedReports } from '../lib/reportCache.js';
+import { enqueue, jobStatus, findJob, jobEvents, jobProgress, progressSince, reportProgress } from '../lib/jobs.js';
 
-function readLatest() {
-  try { return JSON.parse(fs.readFileSync(LATEST_PATH, 'utf-8')); }
-  catch { return null; }
-}
-function writeLatest(payload) {
-  ensureDataDir();
-  fs.writeFileSync(
-    LATEST_PATH,
-    JSON.stringify({ ...payload, _cachedAt: new Date().toISOString() }, null, 2),
-    'utf-8'
-  );
-}
-
-// ------------ guild & timezone ------------
-const GUILD = {
-  name: process.env.GUILD_NAME || 'Tempest',
-  serverSlug: (process.env.GUILD_SERVER_SLUG || 'dreamscythe').toLowerCase(),
-  serverRegion: (process.env.GUILD_REGION || 'us').toLowerCase()
-};
-const TIMEZONE = process.env.TIMEZONE || 'America/Chicago';
+// Credit for a benched player when the bench entry doesn't set its own (0–1)
+const BENCH_CREDIT = Number(process.env.BENCH_CREDIT ?? 1);
+// INFER_JOIN_DATES=1: without a roster join date, a player's first night in any
+// cached log, override or bench entry counts as their join. Off by default: a
+// young report cache would cut everyone's early misses out of "possible".
+const INFER_JOIN_DATES = process.env.INFER_JOIN_DATES === '1';
+// Cached payloads kept for ad-hoc windows (from/to ranges, non-default weeks=);
+// the default and season windows are always kept. Least recently written go first.
+const ADHOC_WINDOW_CACHE = Math.max(0, Number(process.env.ADHOC_WINDOW_CACHE ?? 10));
+// Stored data a payload depends on; hashed into its `inputs` stamp (see lib/snapshots.js)
+const SNAPSHOT_INPUTS = ['overrides', 'bench', 'altMap', 'renames', 'excluded', 'schedule', 'roster', 'absences', 'policy'];
 
 // ------------ class filter + NPCs ------------
 const PLAYER_CLASSES = new Set([
@@ -82,35 +58,39 @@ query GuildReports($guildName:String!,$guildServerSlug:String!,$guildServerRegio
   }
 }`;
 
+// masterData gives each player actor's realm; table entries carry only the actor id.
+// zone/encounterID/difficulty/size feed the schedule's report rules (lib/reportRules.js);
+// playerDetails gives each player's class and role (tanks/healers/dps) on the kills.
 const REPORT_FIGHTS_GQL = `
 query ReportFights($code:String!){
-  reportData{ report(code:$code){ fights(killType:Kills){ id name startTime endTime } } }
+  reportData{ report(code:$code){
+    zone{ id name }
+    fights(killType:Kills){ id name encounterID difficulty size startTime endTime }
+    masterData{ actors(type:"Player"){ id name server } }
+    playerDetails(killType:Kills)
+  } }
 }`;
+const ROLES = { tanks: 'tank', healers: 'healer', dps: 'dps' };
 
-const REPORT_TABLE_GQL = `
-query Table($code:String!,$fightIDs:[Int]!,$type:TableDataType!){
-  reportData{ report(code:$code){ table(dataType:$type,fightIDs:$fightIDs) } }
-}`;
+// Edit kinds POST /batch accepts (see applyEdit)
+const BATCH_OPS = ['override', 'clear-override', 'bench', 'unbench', 'exclude', 'unexclude', 'alt'];
 
-// ------------ helpers ------------
-function sixWeeksRange() {
-  const end = Date.now();
-  const start = end - 1000 * 60 * 60 * 24 * 7 * 6;
-  return { start, end };
+// DamageDone + Healing tables for each kill fight, aliased d<id>/h<id>, so one
+// query covers a batch of fights.
+const FIGHTS_PER_QUERY = 5;
+function fightTablesGql(fightIDs) {
+  const fields = fightIDs.map(id =>
+    `d${id}: table(dataType:DamageDone,fightIDs:[${id}]) h${id}: table(dataType:Healing,fightIDs:[${id}])`
+  ).join(' ');
+  return `query FightTables($code:String!){ reportData{ report(code:$code){ ${fields} } } }`;
 }
-function isTueOrThuLocal(msUTC, tz) {
-  const w = new Intl.DateTimeFormat('en-US', { timeZone: tz, weekday: 'short' }).format(new Date(msUTC)).toLowerCase();
-  return w.startsWith('tue') || w.startsWith('thu');
-}
-function dateKeyLocal(msUTC, tz) {
-  return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
-    .format(new Date(msUTC)); // yyyy-mm-dd
-}
-async function fetchAllReports(start, end) {
+
+// ------------ helpers ------------
+async function fetchAllReports(guild, start, end) {
   const all = []; let page = 1; const limit = 100;
   while (true) {
     const d = await wclQuery(GUILD_REPORTS_GQL, {
-      guildName: GUILD.name, guildServerSlug: GUILD.serverSlug, guildServerRegion: GUILD.serverRegion,
+      guildName: guild.name, guildServerSlug: guild.serverSlug, guildServerRegion: guild.serverRegion,
       start, end, page, limit
     });
     all.push(...(d?.reportData?.reports?.data ?? []));
@@ -141,248 +121,1263 @@ function isPlayerEntry(e) {
   return PLAYER_CLASSES.has(e.type);
 }
 
-// ------------ compute + cache payload ------------
-async function computePayload() {
-  const { start, end } = sixWeeksRange();
-  const excludedArr = readExcludedArray();                           // [{ dateKey, reason? }]
-  const excludedSet = new Set(excludedArr.map(e => String(e?.dateKey || '')));
-  const reports = await fetchAllReports(start, end);
-
-  // Group by local date; keep only Tue/Thu; skip excluded
-  const grouped = new Map(); // dateKey -> reports[]
-  for (const r of reports) {
-    if (!isTueOrThuLocal(r.startTime, TIMEZONE)) continue;
-    const dkey = dateKeyLocal(r.startTime, TIMEZONE);
-    if (excludedSet.has(dkey)) continue;
-    if (!grouped.has(dkey)) grouped.set(dkey, []);
-    grouped.get(dkey).push(r);
+// Kill fights, each with the players present (DamageDone ∪ Healing for that
+// fight), plus the union over all kills, the report's zone and each player's
+// class/role, for one report. Players are "Name-Realm" when WCL knows the
+// realm (see lib/identity.js).
+async function fetchReportPlayers(code) {
+  const fightsData = await wclQuery(REPORT_FIGHTS_GQL, { code });
+  const zone = fightsData?.reportData?.report?.zone ?? null;
+  const kills = fightsData?.reportData?.report?.fights ?? [];
+  if (!kills.length) return { zone, fights: [], players: [], roles: {} };
+  const realms = new Map((fightsData.reportData.report.masterData?.actors ?? []).map(a => [a.id, a.server]));
+  const details = fightsData.reportData.report.playerDetails?.data?.playerDetails ?? {};
+  const roles = {}; // player -> { class, role }
+  for (const [key, role] of Object.entries(ROLES)) {
+    for (const e of details[key] ?? []) {
+      const n = withRealm(e.name, e.server || realms.get(e.id));
+      if (n) roles[n] = { class: e.type ?? null, role };
+    }
   }
 
-  const nightKeys = Array.from(grouped.keys()).sort();
-  const altMap = readAltMap();               // { alt: main }
-  const overridesAll = readOverrides();      // { [dateKey]: { [name]: fractional } }
+  const batches = [];
+  for (let i = 0; i < kills.length; i += FIGHTS_PER_QUERY) {
+    batches.push(kills.slice(i, i + FIGHTS_PER_QUERY).map(f => f.id));
+  }
+  const results = await Promise.all(batches.map(ids => wclQuery(fightTablesGql(ids), { code })));
+  const tables = Object.assign({}, ...results.map(d => d?.reportData?.report || {}));
 
-  const perNight = []; // { dateKey, presentMain:Set<string>, nightOverrides }
-  for (const dateKey of nightKeys) {
-    const presentSet = new Set();
+  const players = new Set();
+  const fights = kills.map(f => {
+    const present = new Set();
+    for (const t of [tables[`d${f.id}`], tables[`h${f.id}`]]) {
+      for (const e of extractEntries(t).filter(isPlayerEntry)) present.add(withRealm(e.name, e.server || realms.get(e.id)));
+    }
+    present.delete('');
+    present.forEach(n => players.add(n));
+    return { ...f, players: Array.from(present) };
+  });
+  return { zone, fights, players: Array.from(players), roles };
+}
 
-    for (const r of grouped.get(dateKey) || []) {
-      const fightsData = await wclQuery(REPORT_FIGHTS_GQL, { code: r.code });
-      const fights = fightsData?.reportData?.report?.fights ?? [];
-      if (!fights.length) continue;
-      const killIDs = fights.map(f => f.id);
+// Tags report-cache entries so teams sharing the cache only see their own logs
+function guildKey(guild) {
+  return `${guild.name}@${guild.serverSlug}-${guild.serverRegion}`.toLowerCase();
+}
 
-      const [dmg, heal] = await Promise.all([
-        wclQuery(REPORT_TABLE_GQL, { code: r.code, fightIDs: killIDs, type: 'DamageDone' }),
-        wclQuery(REPORT_TABLE_GQL, { code: r.code, fightIDs: killIDs, type: 'Healing' })
-      ]);
+// Cached entry for a listed report; only new or still-live reports hit WCL.
+// onSynced('cache' | 'wcl') once the entry is ready.
+async function syncReport(r, guild, counts, onSynced = () => {}) {
+  const hit = getCachedReport(r.code);
+  if (isReusable(hit, r)) { counts.cached += 1; onSynced('cache'); return hit; }
+  counts.fetched += 1;
+  const entry = putCachedReport({ ...r, guild: guildKey(guild) }, await fetchReportPlayers(r.code));
+  onSynced('wcl');
+  return entry;
+}
 
-      const dmgE = extractEntries(dmg?.reportData?.report?.table).filter(isPlayerEntry);
-      const healE = extractEntries(heal?.reportData?.report?.table).filter(isPlayerEntry);
-      for (const e of dmgE) presentSet.add((e.name || '').trim());
-      for (const e of healE) presentSet.add((e.name || '').trim());
-    }
-    presentSet.delete('');
+// ------------ per-team router ------------
+// Everything below is scoped to one team: its guild, timezone, data dir,
+// cached payloads and background jobs. See lib/teams.js.
+export function createAttendance(team) {
+  const router = express.Router();
+  const store = createStore(team.dataDir);
+  const GUILD = team.guild;
+  const TIMEZONE = team.timezone;
+  const LATEST_PATH = path.join(store.dir, 'attendance.latest.json');   // pre-window cache, read as fallback only
+  const CACHE_DIR = path.join(store.dir, 'attendance_cache');           // one <windowKey>.json per computed window
+  const HOME_REALM = GUILD.serverSlug;                                   // names without a realm are on this one
+  const allowed = team.allowList ? new Set(team.allowList.map(n => charKey(n, HOME_REALM))) : null;
+  const notifier = createNotifier({ team, store });
+  const snapshots = createSnapshots(store.dir);
 
-    const presentMain = new Set(Array.from(presentSet, n => altMap[n] || n));
-    const nightOverrides = overridesAll[dateKey] || {};
-    perNight.push({ dateKey, presentMain, nightOverrides });
+  // Current renames + alt links as one resolver (see lib/identity.js)
+  function identity() {
+    return createIdentity({ homeRealm: HOME_REALM, renames: store.read('renames'), altMap: store.read('altMap') });
   }
+  // Canonical form of a name from a request (home realm dropped)
+  const nameOf = (n) => canonicalName(n, HOME_REALM);
 
-  // Per-player presence dates + player set
-  const perPlayerDates = {}; // name -> string[]
-  const allPlayers = new Set();
-  for (const night of perNight) {
-    for (const n of night.presentMain) {
-      allPlayers.add(n);
-      (perPlayerDates[n] ||= []).push(night.dateKey);
-    }
-    // An override > 0 means "present" for purposes of tooltip dates
-    for (const [name, val] of Object.entries(night.nightOverrides)) {
-      allPlayers.add(name);
-      if (val > 0) (perPlayerDates[name] ||= []).push(night.dateKey);
+  // ------------ edits ------------
+  // Shared by the single-edit routes and POST /batch. Night entries (overrides,
+  // bench) are stored under the canonical name, replacing any other spelling
+  // of the same character.
+  function setNightEntry(byNight, dateKey, name, value) {
+    const night = (byNight[dateKey] ||= {});
+    const prev = findKey(night, name, HOME_REALM);
+    if (prev != null) delete night[prev];
+    night[nameOf(name)] = value;
+    return byNight;
+  }
+  function clearNightEntry(byNight, dateKey, name) {
+    const key = findKey(byNight[dateKey], name, HOME_REALM);
+    if (key != null) {
+      delete byNight[dateKey][key];
+      if (!Object.keys(byNight[dateKey]).length) delete byNight[dateKey];
     }
+    return byNight;
   }
+  function setExcluded(exArr, row) {
+    const idx = exArr.findIndex(d => String(d.dateKey) === row.dateKey);
+    if (idx >= 0) exArr[idx] = row; else exArr.push(row);
+    return exArr;
+  }
+  const benchEntry = ({ credit = null, note = '' }) => {
+    if (credit != null && (typeof credit !== 'number' || credit < 0 || credit > 1)) {
+      throw new Error('credit must be a number 0–1 (omit for the default)');
+    }
+    return { credit, note: String(note || '') };
+  };
 
-  // Roll up stats
-  const totalNights = nightKeys.length;
-  const stats = {};
-  for (const name of allPlayers) stats[name] = { nightsAttended: 0, lastSeen: '' };
-
-  for (const night of perNight) {
-    for (const name of allPlayers) {
-      const base = night.presentMain.has(name) ? 1 : 0;
-      const applied = (night.nightOverrides[name] ?? base);
-      stats[name].nightsAttended += applied;
-      if (applied > 0 && (!stats[name].lastSeen || night.dateKey > stats[name].lastSeen)) {
-        stats[name].lastSeen = night.dateKey;
+  // One POST /batch edit onto drafts (draft(kind) = the kind's staged data).
+  // Throws a readable message for a 400; returns alt-link warnings, if any.
+  function applyEdit(draft, edit) {
+    const need = (...keys) => {
+      const missing = keys.filter(k => edit?.[k] == null || edit[k] === '');
+      if (missing.length) throw new Error(`${edit?.op}: ${missing.join(', ')} required`);
+    };
+    switch (edit?.op) {
+      case 'override':
+        need('dateKey', 'name');
+        if (typeof edit.fractional !== 'number') throw new Error('override: fractional must be a number');
+        setNightEntry(draft('overrides'), String(edit.dateKey), edit.name, edit.fractional);
+        return [];
+      case 'clear-override':
+        need('dateKey', 'name');
+        clearNightEntry(draft('overrides'), String(edit.dateKey), edit.name);
+        return [];
+      case 'bench':
+        need('dateKey', 'name');
+        setNightEntry(draft('bench'), String(edit.dateKey), edit.name, benchEntry(edit));
+        return [];
+      case 'unbench':
+        need('dateKey', 'name');
+        clearNightEntry(draft('bench'), String(edit.dateKey), edit.name);
+        return [];
+      case 'exclude':
+        need('dateKey');
+        setExcluded(draft('excluded'), { dateKey: String(edit.dateKey), reason: edit.reason || 'Excluded' });
+        return [];
+      case 'unexclude': {
+        need('dateKey');
+        const exArr = draft('excluded');
+        exArr.splice(0, exArr.length, ...exArr.filter(d => String(d.dateKey) !== String(edit.dateKey)));
+        return [];
       }
+      case 'alt': {
+        need('alt', 'main');
+        const linked = linkAlt(draft('altMap'), nameOf(edit.alt), nameOf(edit.main));
+        draft('altMap', linked.map);
+        return unknownNameWarnings([nameOf(edit.alt), linked.main], knownCharacters());
+      }
+      default:
+        throw new Error(`op must be one of ${BATCH_OPS.join(', ')}`);
     }
   }
 
-  const rows = Object.entries(stats).map(([name, s]) => ({
-    name,
-    attended: Number(s.nightsAttended.toFixed(2)),
-    possible: totalNights,
-    pct: totalNights ? Math.round((s.nightsAttended / totalNights) * 100) : 0,
-    lastSeen: s.lastSeen
-  })).sort((a, b) => b.pct - a.pct || b.attended - a.attended || a.name.localeCompare(b.name));
-
-  // Return excluded as array for transparency
-  return { nights: nightKeys, rows, perPlayerDates, excluded: excludedArr };
-}
+  function cachePath(key) {
+    return path.join(CACHE_DIR, `${key.replace(/[^A-Za-z0-9_.-]/g, '_')}.json`);
+  }
+  function readLatest(key = defaultWindow().key) {
+    try { return JSON.parse(fs.readFileSync(cachePath(key), 'utf-8')); }
+    catch {}
+    if (key !== defaultWindow().key) return null;
+    try { return JSON.parse(fs.readFileSync(LATEST_PATH, 'utf-8')); }
+    catch { return null; }
+  }
+  // Cache the payload for its window and keep it in the snapshot history
+  function writeLatest(payload, reason = null) {
+    writeFileAtomic(
+      cachePath(payload.window.key),
+      JSON.stringify({ ...payload, _cachedAt: new Date().toISOString() }, null, 2)
+    );
+    snapshots.record(payload, reason);
+    pruneAdhocCaches();
+  }
 
-// ------------ routes ------------
-
-// FAST path: serve last cached payload
-router.get('/latest', (_req, res) => {
-  const cached = readLatest();
-  if (!cached) return res.status(404).json({ error: 'no cached attendance yet' });
-  res.json(cached);
-});
-
-// Slow path: recompute and cache
-router.get('/refresh', async (_req, res) => {
-  try {
-    const payload = await computePayload();
-    writeLatest(payload); // cache to disk
-    res.json({ ...payload, _source: 'refresh' });
-  } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+  // Cache files oldest-written first
+  function cacheFiles() {
+    if (!fs.existsSync(CACHE_DIR)) return [];
+    return fs.readdirSync(CACHE_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => ({ file: f, mtime: fs.statSync(path.join(CACHE_DIR, f)).mtimeMs }))
+      .sort((a, b) => a.mtime - b.mtime)
+      .map(e => e.file);
   }
-});
-
-// -------- Excluded Dates (legacy router version; uses the array file) --------
-router.get('/excluded', (_req, res) => {
-  const exArr = readExcludedArray(); // [{dateKey, reason}]
-  res.json({ dates: exArr });
-});
-router.post('/excluded', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+  // Drop all but the newest ADHOC_WINDOW_CACHE ad-hoc window caches
+  function pruneAdhocCaches() {
+    const keep = path.basename(cachePath(defaultWindow().key));
+    const adhoc = cacheFiles().filter(f => /^(range|weeks)-/.test(f) && f !== keep);
+    for (const f of adhoc.slice(0, Math.max(0, adhoc.length - ADHOC_WINDOW_CACHE))) {
+      try { fs.unlinkSync(path.join(CACHE_DIR, f)); } catch {}
+    }
   }
-  const { dateKey, reason } = req.body || {};
-  if (!dateKey) return res.status(400).json({ error: 'dateKey required (YYYY-MM-DD)' });
-  const exArr = readExcludedArray();
-  const idx = exArr.findIndex(d => String(d.dateKey) === String(dateKey));
-  const row = { dateKey: String(dateKey), reason: reason || 'Excluded' };
-  if (idx >= 0) exArr[idx] = row; else exArr.push(row);
-  writeExcludedArray(exArr);
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true, dateKey: row.dateKey, reason: row.reason });
-});
-router.delete('/excluded', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+
+  // ------------ compute + cache payload ------------
+  // offline: aggregate only from the report cache (no WCL calls); used after admin edits.
+  // policy: score with this policy instead of the stored one (/policy/preview).
+  // onProgress(type, data): 'reports' once listed, 'report' per report synced,
+  // 'nights' once the rules are applied (see /refresh/events).
+  async function computePayload(window = defaultWindow(), { offline = false, policy = store.read('policy'), onProgress = () => {} } = {}) {
+    const { start, end, from, to } = window;
+    const versions = Object.fromEntries(SNAPSHOT_INPUTS.map(k => [k, contentHash(k === 'policy' ? policy : store.read(k))]));
+    const auditId = store.audit.list({ limit: 1 })[0]?.id ?? null;
+    const excludedArr = store.read('excluded');                           // [{ dateKey, reason? }]
+    const excludedSet = new Set(excludedArr.map(e => String(e?.dateKey || '')));
+    const schedule = store.read('schedule');
+    const usageAtStart = offline ? null : wclUsage();
+    const reports = offline ? listCachedReports(start, end, guildKey(GUILD)) : await fetchAllReports(GUILD, start, end);
+
+    // Group by raid night (schedule windows, post-midnight logs roll back);
+    // each report is judged by its window's rules (see lib/reportRules.js)
+    const grouped = new Map(); // dateKey -> reports[]
+    const rulesOf = new Map(); // report code -> rules | null
+    for (const r of reports) {
+      const hit = windowFor(r.startTime, schedule, TIMEZONE);
+      if (!hit) continue;
+      const dkey = hit.dateKey;
+      if ((from && dkey < from) || (to && dkey > to)) continue;
+      if (!grouped.has(dkey)) grouped.set(dkey, []);
+      grouped.get(dkey).push(r);
+      rulesOf.set(r.code, hit.window.rules);
+    }
+
+    // Make sure every raid-night report is cached (excluded nights too, so
+    // un-excluding later can re-aggregate offline). wclQuery caps concurrency.
+    const counts = { reports: 0, fetched: 0, cached: 0 };
+    for (const list of grouped.values()) counts.reports += list.length;
+    onProgress('reports', { listed: reports.length, onRaidNights: counts.reports, nights: grouped.size });
+    if (offline) {
+      counts.cached = counts.reports;
+    } else {
+      let synced = 0;
+      await Promise.all(Array.from(grouped, async ([dkey, list]) => {
+        grouped.set(dkey, await Promise.all(list.map(r => syncReport(r, GUILD, counts, (source) => {
+          onProgress('report', { code: r.code, night: dkey, source, done: ++synced, total: counts.reports });
+        }))));
+      }));
+      await checkRateLimit(); // so the usage below reflects this refresh's points
+    }
+
+    // Apply the report rules. Rejected reports drop out; a night whose included
+    // reports miss minKills qualifying kills drops out entirely (only when a
+    // window has rules). nightReports explains every night either way.
+    const nightReports = {}; // dateKey -> { counted, reason, reports: [{ code, zone, kills, qualifying, included, reason }] }
+    const scoredFights = new Map(); // dateKey -> [{ report, fight }] kills that count toward presence
+    for (const dkey of Array.from(grouped.keys()).sort()) {
+      const verdicts = grouped.get(dkey).map(r => ({ r, rules: rulesOf.get(r.code), v: judgeReport(r, rulesOf.get(r.code)) }));
+      const qualifying = verdicts.reduce((sum, { v }) => sum + (v.included ? v.qualifying.size : 0), 0);
+      const minKills = Math.max(0, ...verdicts.map(({ rules }) => rules?.minKills ?? 0));
+      const counted = qualifying >= minKills;
+      nightReports[dkey] = {
+        counted,
+        reason: counted
+          ? (minKills ? `${qualifying} qualifying kills (needs ${minKills})` : 'no rules: every report counts')
+          : `only ${qualifying} qualifying kills (needs ${minKills})`,
+        reports: verdicts.map(({ r, v }) => ({
+          code: r.code, zone: r.zone?.name ?? null, kills: v.kills, qualifying: v.qualifying.size,
+          included: counted && v.included, reason: v.reason
+        }))
+      };
+      if (!counted) { grouped.delete(dkey); continue; }
+      scoredFights.set(dkey, verdicts.flatMap(({ r, v }) => v.scored.map(fight => ({ report: r, fight }))));
+    }
+    onProgress('nights', {
+      counted: Object.values(nightReports).filter(n => n.counted).length,
+      rejected: Object.values(nightReports).filter(n => !n.counted).length
+    });
+
+    const nightKeys = Array.from(grouped.keys()).filter(k => !excludedSet.has(k)).sort();
+    const ident = identity();
+    const overridesAll = store.read('overrides');      // { [dateKey]: { [name]: fractional } }
+    const benchAll = store.read('bench');              // { [dateKey]: { [name]: { credit, note } } }
+
+    // Every name (logs, overrides, bench, roster) goes through mainOf: one row
+    // per main, shown as spelled in the logs when it appears there
+    const shownAs = new Map(); // identity key -> name
+    for (const list of grouped.values()) {
+      for (const r of list) {
+        for (const n of r.players || []) {
+          const c = ident.current(n);
+          if (!shownAs.has(ident.key(c))) shownAs.set(ident.key(c), c);
+        }
+      }
+    }
+    const mainOf = (n) => {
+      const m = ident.main(n);
+      if (!shownAs.has(ident.key(m))) shownAs.set(ident.key(m), m);
+      return shownAs.get(ident.key(m));
+    };
+
+    // Class/role per main: the main character's latest, else its latest alt's
+    const roleOf = new Map(); // main -> { class, role }
+    const fromMainChar = new Set();
+    const inOrder = Array.from(grouped.values()).flat().sort((a, b) => a.startTime - b.startTime);
+    for (const r of inOrder) {
+      for (const [n, d] of Object.entries(r.roles || {})) {
+        const m = mainOf(n);
+        const isMain = ident.key(ident.current(n)) === ident.key(m);
+        if (isMain) fromMainChar.add(m);
+        if (isMain || !fromMainChar.has(m)) roleOf.set(m, d);
+      }
+    }
+
+    // Automatic value per main per night = share of the night's kill fights
+    // they (or any of their alts) were present for; chars = which characters.
+    // killsByNight keeps each kill with its mains for the encounter breakdown.
+    const perNight = []; // { dateKey, auto:Map<string,number>, chars, nightOverrides, nightBench }
+    const excludedNights = []; // [{ dateKey, reason, characters: { main: [character] } }]
+    const killsByNight = {}; // dateKey -> [{ report, fightId, name, encounterID, difficulty, size, startTime, endTime, players: [main] }]
+    for (const dateKey of Array.from(grouped.keys()).sort()) {
+      const fightCount = new Map(); // main -> kills present
+      const chars = new Map();      // main -> Set<character>
+      const kills = [];
+      for (const { report, fight: f } of scoredFights.get(dateKey)) {
+        const mains = new Set();
+        for (const n of f.players || []) {
+          const m = mainOf(n);
+          mains.add(m);
+          if (!chars.has(m)) chars.set(m, new Set());
+          chars.get(m).add(shownAs.get(ident.key(ident.current(n))));
+        }
+        for (const m of mains) fightCount.set(m, (fightCount.get(m) || 0) + 1);
+        kills.push({
+          report: report.code, fightId: f.id, name: f.name,
+          encounterID: f.encounterID ?? null, difficulty: f.difficulty ?? null, size: f.size ?? null,
+          startTime: report.startTime + f.startTime, endTime: report.startTime + f.endTime,
+          players: [...mains].filter(m => !allowed || allowed.has(ident.key(m))).sort()
+        });
+      }
+      if (excludedSet.has(dateKey)) {
+        const reason = excludedArr.find(e => String(e.dateKey) === dateKey)?.reason || null;
+        const shown = Array.from(chars).filter(([m]) => !allowed || allowed.has(ident.key(m)));
+        excludedNights.push({ dateKey, reason, characters: Object.fromEntries(shown.map(([m, c]) => [m, [...c]])) });
+        continue;
+      }
+      killsByNight[dateKey] = kills.sort((a, b) => a.startTime - b.startTime);
+      const auto = new Map(Array.from(fightCount, ([m, c]) => [m, Number((c / kills.length).toFixed(2))]));
+      const nightOverrides = {};
+      for (const [name, v] of Object.entries(overridesAll[dateKey] || {})) nightOverrides[mainOf(name)] = v;
+      const nightBench = {};
+      for (const [name, b] of Object.entries(benchAll[dateKey] || {})) {
+        nightBench[mainOf(name)] = b?.credit ?? BENCH_CREDIT;
+      }
+      perNight.push({ dateKey, auto, chars, nightOverrides, nightBench });
+    }
+
+    // Approved absences: main -> Map<dateKey, absence> (see lib/absences.js)
+    const excused = excusedNights(store.read('absences'), perNight.map(n => n.dateKey), mainOf);
+
+    // Per-player nights (automatic vs bench vs override side by side) + player set
+    // source: 'override' beats 'benched' beats 'logs'; a benched player who was
+    // swapped in keeps whichever of log presence / bench credit is higher.
+    // 'excused' = an approved absence and nothing else that night (showing up
+    // anyway, or an override, wins over the excuse).
+    const perPlayerDates = {}; // name -> [{ dateKey, auto, bench, override, value, source, characters, excused? }]
+    const allPlayers = new Set(excused.keys());
+    for (const night of perNight) {
+      for (const n of night.auto.keys()) allPlayers.add(n);
+      for (const n of Object.keys(night.nightOverrides)) allPlayers.add(n);
+      for (const n of Object.keys(night.nightBench)) allPlayers.add(n);
+    }
+    if (allowed) {
+      for (const n of allPlayers) if (!allowed.has(ident.key(n))) allPlayers.delete(n);
+    }
+
+    // Eligibility: only nights between a player's join and leave dates count
+    // toward their pct. Join comes from the roster, else (INFER_JOIN_DATES)
+    // first-seen: all cached logs that pass the report rules, not just this
+    // window, plus any override or bench entry; leave only from the roster.
+    const roster = new Map(Object.entries(store.read('roster')).map(([n, e]) => [ident.key(ident.main(n)), e]));
+    const firstSeen = new Map(); // main -> earliest night in any log, override or bench
+    const seen = (m, dateKey) => {
+      if (!firstSeen.has(m) || dateKey < firstSeen.get(m)) firstSeen.set(m, dateKey);
+    };
+    if (INFER_JOIN_DATES) {
+      const history = [...listCachedReports(0, start - 1, guildKey(GUILD)), ...Array.from(grouped.values()).flat()];
+      for (const r of history) {
+        const hit = windowFor(r.startTime, schedule, TIMEZONE);
+        const verdict = hit && judgeReport(r, hit.window.rules);
+        if (!verdict?.included) continue;
+        for (const n of new Set(verdict.scored.flatMap(f => f.players || []))) seen(mainOf(n), hit.dateKey);
+      }
+      // An officer crediting (or benching) someone on a night puts them on the team then
+      for (const byNight of [overridesAll, benchAll]) {
+        for (const [dateKey, entries] of Object.entries(byNight)) {
+          for (const n of Object.keys(entries)) seen(mainOf(n), dateKey);
+        }
+      }
+    }
+    const eligibility = {}; // name -> { joined, left, joinedFrom: 'roster'|'firstSeen'|null }
+    for (const name of allPlayers) {
+      const e = roster.get(ident.key(name));
+      eligibility[name] = {
+        joined: e?.joined || firstSeen.get(name) || null,
+        left: e?.left || null,
+        joinedFrom: e?.joined ? 'roster' : firstSeen.has(name) ? 'firstSeen' : null
+      };
+    }
+    const isEligible = (name, dateKey) => {
+      const { joined, left } = eligibility[name];
+      return (!joined || dateKey >= joined) && (!left || dateKey <= left);
+    };
+
+    // Roll up stats (raw = every night in the window; the rest = eligible nights only)
+    // weighted/weightSum: the same eligible nights, each scaled by its policy weight
+    const totalNights = nightKeys.length;
+    const weights = nightWeights(policy, nightKeys);
+    const stats = {};
+    for (const name of allPlayers) {
+      stats[name] = { nightsAttended: 0, eligible: 0, weighted: 0, weightSum: 0, rawAttended: 0, auto: 0, overridden: 0, benched: 0, excused: 0, lastSeen: '' };
+    }
+
+    for (const night of perNight) {
+      for (const name of allPlayers) {
+        const auto = night.auto.get(name) || 0;
+        const override = night.nightOverrides[name] ?? null;
+        const bench = night.nightBench[name] ?? null;
+        let applied = auto, source = 'logs';
+        if (bench != null && bench > auto) { applied = bench; source = 'benched'; }
+        if (override != null) { applied = override; source = 'override'; }
+        const absence = override == null && applied === 0 ? excused.get(name)?.get(night.dateKey) : null;
+        if (absence) source = 'excused';
+        stats[name].rawAttended += applied;
+        if (isEligible(name, night.dateKey) && (!absence || policy.excusedCountsAsPossible)) {
+          stats[name].eligible += 1;
+          stats[name].nightsAttended += applied;
+          stats[name].weighted += applied * weights[night.dateKey];
+          stats[name].weightSum += weights[night.dateKey];
+        }
+        stats[name].auto += auto;
+        if (override != null) stats[name].overridden += 1;
+        if (bench != null) stats[name].benched += 1;
+        if (absence) stats[name].excused += 1;
+        if (auto > 0 || override != null || bench != null || absence) {
+          const characters = [...(night.chars.get(name) || [])];
+          const entry = { dateKey: night.dateKey, auto, bench, override, value: applied, source, characters };
+          if (absence) entry.excused = { id: absence.id, reason: absence.reason };
+          (perPlayerDates[name] ||= []).push(entry);
+        }
+        if (applied > 0 && (!stats[name].lastSeen || night.dateKey > stats[name].lastSeen)) {
+          stats[name].lastSeen = night.dateKey;
+        }
+      }
+    }
+
+    const rows = Object.entries(stats).map(([name, s]) => {
+      const score = s.weightSum ? Math.round((s.weighted / s.weightSum) * 100) : 0;
+      return {
+        name,
+        attended: Number(s.nightsAttended.toFixed(2)),
+        auto: Number(s.auto.toFixed(2)),
+        overridden: s.overridden,
+        benched: s.benched,
+        excused: s.excused,
+        possible: s.eligible,
+        pct: s.eligible ? Math.round((s.nightsAttended / s.eligible) * 100) : 0,
+        score,
+        status: statusFor(policy, score, s.eligible),
+        raw: {
+          attended: Number(s.rawAttended.toFixed(2)),
+          possible: totalNights,
+          pct: totalNights ? Math.round((s.rawAttended / totalNights) * 100) : 0
+        },
+        ...eligibility[name],
+        lastSeen: s.lastSeen,
+        class: roleOf.get(name)?.class ?? null,
+        role: roleOf.get(name)?.role ?? null
+      };
+    }).sort((a, b) => b.pct - a.pct || b.attended - a.attended || a.name.localeCompare(b.name));
+
+    // Return excluded as array for transparency
+    return {
+      window: describeWindow(window),
+      nights: nightKeys, rows, perPlayerDates, excluded: excludedArr, excludedNights, nightReports,
+      encounters: encounterBreakdown(killsByNight, allPlayers),
+      policy, nightWeights: weights,
+      inputs: {
+        reports: Object.values(nightReports).flatMap(n => n.reports.filter(r => r.included).map(r => r.code)).sort(),
+        versions,
+        auditId
+      },
+      reports: counts,
+      wcl: usageAtStart ? wclUsage(usageAtStart) : null
+    };
   }
-  const { dateKey } = req.body || {};
-  if (!dateKey) return res.status(400).json({ error: 'dateKey required' });
-  const exArr = readExcludedArray();
-  const next = exArr.filter(d => String(d.dateKey) !== String(dateKey));
-  writeExcludedArray(next);
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true });
-});
-
-// -------- Overrides (history + delete) --------
-router.get('/overrides', (_req, res) => {
-  const o = readOverrides(); // { [dateKey]: { [name]: fractional } }
-  const overrides = [];
-  for (const [dateKey, entries] of Object.entries(o)) {
-    for (const [name, fractional] of Object.entries(entries)) {
-      overrides.push({ dateKey, name, fractional });
+
+  // Re-aggregate every cached window from the report cache (no WCL calls).
+  // Admin edits only change overrides/alts/exclusions, never the logs themselves.
+  // Oldest-written first, so the rewrites keep the ad-hoc caches' pruning order.
+  async function reaggregateCached(job) {
+    const seasons = store.read('seasons');
+    pruneAdhocCaches();
+    const files = cacheFiles();
+    const windows = [];
+    for (const f of files) {
+      try {
+        const w = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, f), 'utf-8')).window;
+        windows.push(resolveWindow({ season: w.season?.id, from: w.from, to: w.to, weeks: w.weeks }, seasons));
+      } catch {
+        // unreadable cache file or a season that no longer exists; left as-is
+      }
     }
+    if (!windows.some(w => w.key === defaultWindow().key)) windows.push(defaultWindow());
+    for (const w of windows) writeLatest(await computePayload(w, { offline: true }), job?.reason);
   }
-  overrides.sort((a, b) => b.dateKey.localeCompare(a.dateKey) || a.name.localeCompare(b.name));
-  res.json({ overrides });
-});
-router.post('/override', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+
+  // ------------ background jobs ------------
+  // Admin edits arriving in a burst collapse into one offline re-aggregation.
+  const REAGGREGATE_DEBOUNCE_MS = 2000;
+
+  function requestRefresh(window, reason) {
+    return enqueue(`${team.id}:refresh:${window.key}`, async (job) => {
+      // Jobs run one at a time, so WCL retries/pauses now belong to this refresh
+      const onRetry = (e) => reportProgress(job, 'wcl-retry', e);
+      const onPause = (e) => reportProgress(job, 'wcl-pause', e);
+      wclEvents.on('retry', onRetry).on('pause', onPause);
+      let payload;
+      try {
+        payload = await computePayload(window, { onProgress: (type, data) => reportProgress(job, type, data) });
+      } catch (e) {
+        await notifier.refreshFailed(window, reason, e);
+        throw e;
+      } finally {
+        wclEvents.off('retry', onRetry).off('pause', onPause);
+      }
+      writeLatest(payload, reason);
+      if (window.key === defaultWindow().key) await notifier.lowAttendance(payload);
+      return payload;
+    }, { reason });
   }
-  const { dateKey, name, fractional } = req.body || {};
-  if (!dateKey || !name || typeof fractional !== 'number') {
-    return res.status(400).json({ error: 'dateKey, name, fractional required' });
+
+  // After a night's refresh: if it was the week's last raid night, post the summary
+  function maybeWeeklySummary(nightKey, payload, schedule) {
+    const nextEnd = nextNightEnd(Date.now(), schedule, TIMEZONE);
+    const nextNight = nextEnd != null ? nightKeyFor(nextEnd - 1, schedule, TIMEZONE) : null;
+    const week = weekStartOf(nightKey);
+    if (!nextNight || weekStartOf(nextNight) !== week) return notifier.weeklySummary(payload, week);
   }
-  const o = readOverrides();
-  (o[dateKey] ||= {})[name] = fractional;
-  writeOverrides(o);
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true });
-});
-router.delete('/override', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+  function requestReaggregate(reason) {
+    return enqueue(`${team.id}:reaggregate`, reaggregateCached, { reason, delayMs: REAGGREGATE_DEBOUNCE_MS });
   }
-  const { dateKey, name } = req.body || {};
-  if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
-  const o = readOverrides();
-  if (o[dateKey] && o[dateKey][name] != null) {
-    delete o[dateKey][name];
-    if (!Object.keys(o[dateKey]).length) delete o[dateKey];
-    writeOverrides(o);
+
+  // Interval refresh of the default window, plus one shortly after each raid
+  // night's schedule window closes. Timers are unref'd so they never hold the
+  // process open on their own.
+  const scheduler = { intervalAt: null, afterNightAt: null };
+
+  function startRefreshScheduler({
+    intervalMinutes = Number(process.env.REFRESH_INTERVAL_MINUTES ?? 180),
+    afterNightMinutes = Number(process.env.REFRESH_AFTER_NIGHT_MINUTES ?? 30)
+  } = {}) {
+    if (intervalMinutes > 0) {
+      const every = intervalMinutes * 60_000;
+      const tick = () => {
+        scheduler.intervalAt = Date.now() + every;
+        setTimeout(() => { requestRefresh(defaultWindow(), 'interval'); tick(); }, every).unref();
+      };
+      tick();
+    }
+    if (afterNightMinutes >= 0) {
+      const armAfterNight = () => {
+        let end = null, schedule = null;
+        try {
+          schedule = store.read('schedule');
+          end = nextNightEnd(Date.now(), schedule, TIMEZONE);
+        } catch (e) { console.error(`[scheduler] raid_schedule.json: ${e.message}`); }
+        // No night in the coming week (or bad schedule): look again in a day
+        const at = end != null ? end + afterNightMinutes * 60_000 : Date.now() + 24 * 60 * 60_000;
+        scheduler.afterNightAt = end != null ? at : null;
+        setTimeout(() => {
+          if (end != null) {
+            const nightKey = nightKeyFor(end - 1, schedule, TIMEZONE);
+            requestRefresh(defaultWindow(), 'after raid night').done
+              .then(payload => nightKey && maybeWeeklySummary(nightKey, payload, schedule))
+              .catch(() => {}); // failure already reported by the job (and refreshFailed)
+          }
+          armAfterNight();
+        }, at - Date.now()).unref();
+      };
+      armAfterNight();
+    }
   }
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true });
-});
-
-// -------- Alt→Main (history + delete) --------
-router.get('/alt-map', (_req, res) => {
-  const map = readAltMap(); // { alt: main }
-  const links = Object.entries(map).map(([alt, main]) => ({ alt, main }));
-  links.sort((a, b) => a.alt.localeCompare(b.alt));
-  res.json({ links });
-});
-router.post('/alt-map', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+
+  // Identity keys of every character in this guild's cached logs (old and new names)
+  function knownCharacters() {
+    const ident = identity();
+    const keys = new Set();
+    for (const r of listCachedReports(0, Date.now(), guildKey(GUILD))) {
+      for (const n of r.players || []) keys.add(ident.key(n)).add(ident.key(ident.current(n)));
+    }
+    return keys;
   }
-  const { alt, main } = req.body || {};
-  if (!alt || !main) return res.status(400).json({ error: 'alt and main required' });
-  const map = readAltMap();
-  map[alt] = main;
-  writeAltMap(map);
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true });
-});
-router.delete('/alt-map', express.json(), (req, res) => {
-  if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-    return res.status(401).json({ error: 'unauthorized' });
+
+  // ------------ routes ------------
+
+  // ?season=<id> | ?from=YYYY-MM-DD[&to=YYYY-MM-DD] | ?weeks=N (default 6)
+  function windowFromQuery(req, res) {
+    try { return resolveWindow(req.query, store.read('seasons')); }
+    catch (e) { res.status(400).json({ error: e.message }); return null; }
   }
-  const { alt } = req.body || {};
-  if (!alt) return res.status(400).json({ error: 'alt required' });
-  const map = readAltMap();
-  if (map[alt]) {
-    delete map[alt];
-    writeAltMap(map);
+
+  // Cached payload for the window, else aggregate it offline from the report cache
+  async function payloadFor(window) {
+    return readLatest(window.key) || await computePayload(window, { offline: true });
   }
-  computePayload().then(writeLatest).catch(()=>{});
-  res.json({ ok: true });
-});
-
-// ---- IMPORT / EXPORT (safe, no undefined state) ----
-router.get('/export', (_req, res) => {
-  const overrides = readOverrides();              // object
-  const altMap = readAltMap();                    // object
-  const excluded = readExcludedArray();           // array
-  res.json({ overrides, altMap, excluded });
-});
-
-router.post('/import', express.json(), (req, res) => {
-  try {
-    if (req.get('authorization') !== `Bearer ${process.env.ATTEND_ADMIN_TOKEN}`) {
-      return res.status(401).json({ error: 'unauthorized' });
-    }
-    const { overrides, altMap, excluded } = req.body || {};
-    if (overrides && typeof overrides === 'object') writeOverrides(overrides);
-    if (altMap && typeof altMap === 'object') writeAltMap(altMap);
-    if (Array.isArray(excluded)) writeExcludedArray(excluded);
-    // Recompute cache after import
-    computePayload().then(writeLatest).catch(()=>{});
+
+  // FAST path: serve last cached payload for the window
+  router.get('/latest', (req, res) => {
+    const window = windowFromQuery(req, res);
+    if (!window) return;
+    const cached = readLatest(window.key);
+    if (!cached) return res.status(404).json({ error: `no cached attendance yet for ${window.key}` });
+    res.json(cached);
+  });
+
+  // Slow path: queue a recompute. With a cached payload we answer right away
+  // (202 + the stale payload + job); without one there is nothing to show, so
+  // wait for the job. ?wait=1 always waits; ?wait=0 never does (202 + the
+  // job, plus the stale payload if there is one) so a caller can follow the
+  // job on /refresh/events.
+  router.get('/refresh', async (req, res) => {
+    const window = windowFromQuery(req, res);
+    if (!window) return;
+    const { job, done } = requestRefresh(window, 'manual');
+    const cached = readLatest(window.key);
+    if (req.query.wait === '0' || (cached && !req.query.wait)) {
+      return res.status(202).json({ ...cached, _source: cached ? 'cache' : null, _job: job });
+    }
+    try {
+      const payload = await done;
+      res.json({ ...payload, _source: 'refresh', _job: findJob(job.id) });
+    } catch (e) {
+      res.status(500).json({ error: e.message || String(e), _job: findJob(job.id) });
+    }
+  });
+
+  // One main (or alt / old name, any case or realm form) and their alts, night by night, with streaks
+  // and a rolling trend. Uses the cached payload, else aggregates offline.
+  router.get('/player/:name', async (req, res, next) => {
+    try {
+      const window = windowFromQuery(req, res);
+      if (!window) return;
+      const payload = await payloadFor(window);
+      const player = resolvePlayer(payload, identity(), req.params.name);
+      if (!player) return res.status(404).json({ error: `no attendance for "${req.params.name}" in ${window.key}` });
+      res.json(playerHistory(payload, player));
+    } catch (e) { next(e); } // async: Express 4 won't catch a rejection (e.g. a StorageError) itself
+  });
+
+  // Kill fights per night with the mains present, and per-main encounter counts
+  // (see lib/encounters.js). ?player= narrows it to one main (or alt / old name)
+  // with the kills they missed on nights they raided.
+  router.get('/encounters', async (req, res, next) => {
+    try {
+      const window = windowFromQuery(req, res);
+      if (!window) return;
+      let payload = await payloadFor(window);
+      if (!payload.encounters) payload = await computePayload(window, { offline: true }); // cached before breakdowns existed
+      if (!req.query.player) return res.json({ window: payload.window, ...payload.encounters });
+      const player = resolvePlayer(payload, identity(), String(req.query.player));
+      if (!player) return res.status(404).json({ error: `no attendance for "${req.query.player}" in ${window.key}` });
+      res.json({ window: payload.window, ...playerEncounters(payload.encounters, player.main) });
+    } catch (e) { next(e); }
+  });
+
+  // -------- Snapshots (see lib/snapshots.js) --------
+  // ?season= / ?from=&to= / ?weeks= narrow the list to one window; ?pinned=1 to pinned ones
+  router.get('/snapshots', (req, res) => {
+    const { season, from, to, weeks } = req.query;
+    let windowKey = null;
+    if (season || from || to || weeks) {
+      const window = windowFromQuery(req, res);
+      if (!window) return;
+      windowKey = window.key;
+    }
+    res.json({ snapshots: snapshots.list({ windowKey, pinned: !!req.query.pinned }) });
+  });
+  // ?a=<id>[&b=<id>]; b defaults to the newest snapshot of a's window
+  router.get('/snapshots/diff', (req, res) => {
+    const a = snapshots.get(req.query.a);
+    if (!a) return res.status(404).json({ error: `no snapshot ${req.query.a}` });
+    const b = snapshots.get(req.query.b ?? snapshots.latest(a.window.key)?.id);
+    if (!b) return res.status(404).json({ error: `no snapshot ${req.query.b}` });
+    res.json(diffSnapshots(a, b));
+  });
+  router.get('/snapshots/:id', (req, res) => {
+    const snap = snapshots.get(req.params.id);
+    if (!snap) return res.status(404).json({ error: 'not found' });
+    res.json(snap);
+  });
+  router.post('/snapshots/:id/pin', express.json(), requireRole('officer'), (req, res) => {
+    const label = String(req.body?.label || '').trim();
+    if (!label) return res.status(400).json({ error: 'label required' });
+    const entry = snapshots.setPin(req.params.id, { label, by: req.identity?.name || 'anonymous' });
+    if (!entry) return res.status(404).json({ error: 'not found' });
+    res.json({ ok: true, snapshot: entry });
+  });
+  router.delete('/snapshots/:id/pin', requireRole('officer'), (req, res) => {
+    const entry = snapshots.setPin(req.params.id, null);
+    if (!entry) return res.status(404).json({ error: 'not found' });
+    res.json({ ok: true, snapshot: entry });
+  });
+
+  // Player × night grid as a spreadsheet download: /grid.csv or /grid.xlsx
+  // (same ?season= / ?from=&to= / ?weeks= as /latest)
+  router.get('/grid.:format', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const format = req.params.format;
+      if (!GRID_FORMATS[format]) return res.status(404).json({ error: 'format must be csv or xlsx' });
+      const window = windowFromQuery(req, res);
+      if (!window) return;
+      const grid = attendanceGrid(await payloadFor(window));
+      res.set('Content-Type', GRID_FORMATS[format]);
+      res.attachment(`attendance-${team.id}-${window.key}.${format}`);
+      res.send(format === 'csv' ? toCsv(grid) : toXlsx(grid, team.name));
+    } catch (e) { next(e); }
+  });
+
+  // Server-Sent Events for this team's jobs: queued/started, 'reports' (listed),
+  // 'report' (each synced, done/total), 'nights', 'wcl-retry', 'wcl-pause',
+  // then succeeded/failed (see lib/jobs.js). ?job=<id> replays that job's
+  // events so far, follows only it and ends after it finishes. Event ids are
+  // the events' seq, so a reconnect (Last-Event-ID) resumes where it stopped.
+  router.get('/refresh/events', (req, res) => {
+    const jobId = req.query.job ? Number(req.query.job) : null;
+    if (jobId != null && !findJob(jobId)) return res.status(404).json({ error: `no job ${req.query.job}` });
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    const terminal = (e) => e.type === 'succeeded' || e.type === 'failed';
+    const ours = (e) => e.key.startsWith(`${team.id}:`) && (jobId == null || e.jobId === jobId);
+    const send = (e) => res.write(`id: ${e.seq}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+    const close = () => {
+      jobEvents.off('progress', onEvent);
+      clearInterval(ping);
+      res.end();
+    };
+    function onEvent(e) {
+      if (!ours(e)) return;
+      send(e);
+      if (jobId != null && terminal(e)) close();
+    }
+    const ping = setInterval(() => res.write(': ping\n\n'), 15_000);
+    req.on('close', close);
+
+    const lastSeq = Number(req.get('Last-Event-ID')) || 0;
+    if (jobId != null || lastSeq) {
+      const past = jobId != null ? jobProgress(jobId) : progressSince(lastSeq);
+      past.filter(e => e.seq > lastSeq && ours(e)).forEach(send);
+      if (jobId != null && past.some(terminal)) return close();
+    }
+    jobEvents.on('progress', onEvent);
+  });
+
+  router.get('/refresh/status', (_req, res) => {
+    const iso = (ms) => ms ? new Date(ms).toISOString() : null;
+    res.json({
+      ...jobStatus(`${team.id}:`),
+      scheduled: { interval: iso(scheduler.intervalAt), afterNight: iso(scheduler.afterNightAt) }
+    });
+  });
+
+  // -------- Raid schedule --------
+  router.get('/schedule', (_req, res) => {
+    res.json({ timezone: TIMEZONE, ...store.read('schedule') });
+  });
+  router.put('/schedule', express.json(), requireRole('admin'), (req, res) => {
+    let schedule;
+    try { schedule = normalizeSchedule(req.body); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('schedule', schedule, auditMeta(req, 'schedule'));
+    // Regroup every cached window's nights now; the default window also
+    // refetches, since reports on newly scheduled nights may not be cached yet
+    requestReaggregate('schedule');
+    requestRefresh(defaultWindow(), 'schedule');
+    res.json({ ok: true, ...schedule });
+  });
+
+  // -------- Discord notifications (see lib/notify.js) --------
+  router.get('/notifications', requireRole('admin'), (_req, res) => {
+    res.json({ ...store.read('notifications'), webhookConfigured: notifier.webhookConfigured, templateVars: TEMPLATE_VARS });
+  });
+  router.put('/notifications', express.json(), requireRole('admin'), (req, res) => {
+    const current = store.read('notifications');
+    let cfg;
+    try { cfg = normalizeNotifications({ ...current, ...req.body }); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('notifications', cfg, auditMeta(req, 'notifications'));
+    res.json({ ok: true, ...cfg });
+  });
+  // { event, send? } -> rendered messages from the default window's payload.
+  // Preview only, unless send: true (posts a test message; ignores dedupe).
+  // `sent` is true only when the webhook took it; `status`, `reason` and
+  // `error` say what happened otherwise (see lib/notify.js).
+  router.post('/notifications/preview', express.json(), requireRole('admin'), async (req, res, next) => {
+    const { event, send = false } = req.body || {};
+    if (!EVENTS.includes(event)) return res.status(400).json({ error: `event must be one of ${EVENTS.join(', ')}` });
+    try {
+      const payload = await payloadFor(defaultWindow());
+      const week = weekStartOf(payload.nights.at(-1) || new Date().toISOString().slice(0, 10));
+      const { status, reason = null, error = null, messages } = await notifier.preview(event, payload, { week, send: !!send });
+      res.json({ sent: status === 'posted', status, reason, error, webhookConfigured: notifier.webhookConfigured, messages });
+    } catch (e) { next(e); }
+  });
+
+  // -------- Seasons (named date ranges usable as ?season=<id>) --------
+  router.get('/seasons', (_req, res) => {
+    res.json({ seasons: store.read('seasons') });
+  });
+  router.post('/season', express.json(), requireRole('admin'), (req, res) => {
+    let season;
+    try { season = normalizeSeason(req.body || {}); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.update('seasons', seasons => {
+      const idx = seasons.findIndex(s => s.id === season.id);
+      if (idx >= 0) seasons[idx] = season; else seasons.push(season);
+      return seasons.sort((a, b) => a.from.localeCompare(b.from));
+    }, auditMeta(req, 'season'));
+    res.json({ ok: true, season });
+  });
+  router.delete('/season', express.json(), requireRole('admin'), (req, res) => {
+    const { id } = req.body || {};
+    if (!id) return res.status(400).json({ error: 'id required' });
+    const seasons = store.read('seasons');
+    if (!seasons.some(s => s.id === String(id))) return res.status(404).json({ error: 'not found' });
+    store.update('seasons', list => list.filter(s => s.id !== String(id)), auditMeta(req, 'remove season'));
+    try { fs.rmSync(cachePath(`season-${id}`), { force: true }); } catch {}
+    res.json({ ok: true });
+  });
+
+  // -------- Excluded Dates (legacy router version; uses the array file) --------
+  router.get('/excluded', (_req, res) => {
+    const exArr = store.read('excluded'); // [{dateKey, reason}]
+    res.json({ dates: exArr });
+  });
+  router.post('/excluded', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey, reason } = req.body || {};
+    if (!dateKey) return res.status(400).json({ error: 'dateKey required (YYYY-MM-DD)' });
+    const row = { dateKey: String(dateKey), reason: reason || 'Excluded' };
+    store.update('excluded', exArr => setExcluded(exArr, row), auditMeta(req, 'exclude date'));
+    requestReaggregate('exclude date');
+    res.json({ ok: true, dateKey: row.dateKey, reason: row.reason });
+  });
+  router.delete('/excluded', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey } = req.body || {};
+    if (!dateKey) return res.status(400).json({ error: 'dateKey required' });
+    store.update('excluded', exArr => exArr.filter(d => String(d.dateKey) !== String(dateKey)), auditMeta(req, 'unexclude date'));
+    requestReaggregate('unexclude date');
+    res.json({ ok: true });
+  });
+
+  // -------- Batch edits (admin dashboard grid) --------
+  // { edits: [{ op, ... }] }, op one of
+  //   override {dateKey,name,fractional} | clear-override {dateKey,name}
+  //   bench {dateKey,name,credit?,note?} | unbench {dateKey,name}
+  //   exclude {dateKey,reason?} | unexclude {dateKey} | alt {alt,main}
+  // All or nothing, one audit entry. Answers with the window (same query as
+  // /latest) re-aggregated, so the grid redraws without another round trip.
+  router.post('/batch', express.json(), requireRole('officer'), async (req, res, next) => {
+    const window = windowFromQuery(req, res);
+    if (!window) return;
+    const edits = req.body?.edits;
+    if (!Array.isArray(edits) || !edits.length) return res.status(400).json({ error: 'edits must be a non-empty array' });
+    try {
+      const staged = {};
+      let touched;
+      const draft = (kind, data) => {
+        touched.add(kind);
+        if (data !== undefined) staged[kind] = data;
+        return (staged[kind] ??= store.read(kind));
+      };
+      const warnings = [];
+      // Validate after each edit, so a rejection names the edit that caused it
+      for (const [i, edit] of edits.entries()) {
+        touched = new Set();
+        try {
+          warnings.push(...applyEdit(draft, edit));
+          for (const kind of touched) store.validate(kind, staged[kind]);
+        } catch (e) {
+          if (e instanceof StorageError) throw e; // unreadable data file, not a bad edit
+          return res.status(400).json({ error: `edits[${i}]: ${e.message}` });
+        }
+      }
+      const entry = store.writeMany(staged, auditMeta(req, 'batch edit'));
+      const payload = await computePayload(window, { offline: true });
+      writeLatest(payload, 'batch edit');
+      requestReaggregate('batch edit');
+      res.json({ ok: true, applied: edits.length, auditId: entry?.id ?? null, warnings: [...new Set(warnings)], payload });
+    } catch (e) { next(e); }
+  });
+
+  // -------- Overrides (history + delete) --------
+  router.get('/overrides', (_req, res) => {
+    const o = store.read('overrides'); // { [dateKey]: { [name]: fractional } }
+    const overrides = [];
+    for (const [dateKey, entries] of Object.entries(o)) {
+      for (const [name, fractional] of Object.entries(entries)) {
+        overrides.push({ dateKey, name, fractional });
+      }
+    }
+    overrides.sort((a, b) => b.dateKey.localeCompare(a.dateKey) || a.name.localeCompare(b.name));
+    res.json({ overrides });
+  });
+  router.post('/override', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey, name, fractional } = req.body || {};
+    if (!dateKey || !name || typeof fractional !== 'number') {
+      return res.status(400).json({ error: 'dateKey, name, fractional required' });
+    }
+    store.update('overrides', o => setNightEntry(o, dateKey, name, fractional), auditMeta(req, 'override'));
+    requestReaggregate('override');
+    res.json({ ok: true });
+  });
+  router.delete('/override', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey, name } = req.body || {};
+    if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
+    store.update('overrides', o => clearNightEntry(o, dateKey, name), auditMeta(req, 'remove override'));
+    requestReaggregate('remove override');
+    res.json({ ok: true });
+  });
+
+  // -------- Bench / standby --------
+  router.get('/bench', (_req, res) => {
+    const b = store.read('bench'); // { [dateKey]: { [name]: { credit, note } } }
+    const bench = [];
+    for (const [dateKey, entries] of Object.entries(b)) {
+      for (const [name, e] of Object.entries(entries)) {
+        bench.push({ dateKey, name, credit: e?.credit ?? null, note: e?.note || '' });
+      }
+    }
+    bench.sort((a, b) => b.dateKey.localeCompare(a.dateKey) || a.name.localeCompare(b.name));
+    res.json({ bench, defaultCredit: BENCH_CREDIT });
+  });
+  router.post('/bench', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey, name } = req.body || {};
+    if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
+    let entry;
+    try { entry = benchEntry(req.body); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.update('bench', b => setNightEntry(b, dateKey, name, entry), auditMeta(req, 'bench'));
+    requestReaggregate('bench');
     res.json({ ok: true });
-  } catch (err) {
-    res.status(400).json({ error: err?.message || String(err) });
+  });
+  router.delete('/bench', express.json(), requireRole('officer'), (req, res) => {
+    const { dateKey, name } = req.body || {};
+    if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
+    store.update('bench', b => clearNightEntry(b, dateKey, name), auditMeta(req, 'unbench'));
+    requestReaggregate('unbench');
+    res.json({ ok: true });
+  });
+
+  // -------- Roster (join/leave dates for pro-rated possible nights) --------
+  router.get('/roster', (_req, res) => {
+    const r = store.read('roster'); // { [name]: { joined, left, note } }
+    const roster = Object.entries(r).map(([name, e]) => ({ name, joined: e.joined ?? null, left: e.left ?? null, note: e.note || '' }));
+    roster.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ roster, inferJoinDates: INFER_JOIN_DATES });
+  });
+  router.post('/roster', express.json(), requireRole('officer'), (req, res) => {
+    const { name, joined = null, left = null, note = '' } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const entry = { joined: joined || null, left: left || null, note: String(note || '') };
+    try {
+      store.update('roster', r => {
+        const prev = findKey(r, name, HOME_REALM);
+        if (prev != null) delete r[prev];
+        r[nameOf(name)] = entry;
+        return r;
+      }, auditMeta(req, 'roster'));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    requestReaggregate('roster');
+    res.json({ ok: true, name: nameOf(name), ...entry });
+  });
+  router.delete('/roster', express.json(), requireRole('officer'), (req, res) => {
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const key = findKey(store.read('roster'), name, HOME_REALM);
+    if (key == null) return res.status(404).json({ error: 'not found' });
+    store.update('roster', r => {
+      delete r[key];
+      return r;
+    }, auditMeta(req, 'remove roster'));
+    requestReaggregate('remove roster');
+    res.json({ ok: true });
+  });
+
+  // -------- Planned absences (see lib/absences.js) --------
+  // Raiders authenticate with their personal link token (X-Absence-Token
+  // header or ?token=), which only ever reaches their own absences.
+  function absenceOwner(req, res) {
+    const name = linkOwner(store.read('absenceLinks'), String(req.get('x-absence-token') || req.query.token || ''));
+    if (!name) res.status(401).json({ error: 'unknown or revoked absence link' });
+    return name;
   }
-});
+  const linkMeta = (name, action) => ({ actor: `${name} (absence link)`, action, note: null });
+  const byFromDesc = (a, b) => b.from.localeCompare(a.from) || a.name.localeCompare(b.name);
+
+  router.get('/my-absences', (req, res) => {
+    const name = absenceOwner(req, res);
+    if (!name) return;
+    const absences = store.read('absences').filter(a => charKey(a.name, HOME_REALM) === charKey(name, HOME_REALM));
+    res.json({ name, team: team.name, absences: absences.sort(byFromDesc) });
+  });
+  // { from, to?, reason } -> a pending absence
+  router.post('/my-absences', express.json(), (req, res) => {
+    const name = absenceOwner(req, res);
+    if (!name) return;
+    let request;
+    try { request = normalizeAbsenceRequest(req.body || {}); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    const absence = newAbsence(name, request, `${name} (absence link)`);
+    store.update('absences', list => [...list, absence], linkMeta(name, 'absence request'));
+    res.status(201).json({ ok: true, absence });
+  });
+  router.delete('/my-absences/:id', (req, res) => {
+    const name = absenceOwner(req, res);
+    if (!name) return;
+    const absence = store.read('absences').find(a => a.id === req.params.id);
+    if (!absence || charKey(absence.name, HOME_REALM) !== charKey(name, HOME_REALM)) return res.status(404).json({ error: 'not found' });
+    store.update('absences', list => list.filter(a => a.id !== absence.id), linkMeta(name, 'cancel absence'));
+    if (absence.status === 'approved') requestReaggregate('cancel absence');
+    res.json({ ok: true });
+  });
+
+  // Officers: ?status=pending|approved|denied&name=
+  router.get('/absences', requireRole('officer'), (req, res) => {
+    const { status, name } = req.query;
+    if (status && !ABSENCE_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${ABSENCE_STATUSES.join(', ')}` });
+    const absences = store.read('absences')
+      .filter(a => !status || a.status === status)
+      .filter(a => !name || charKey(a.name, HOME_REALM) === charKey(name, HOME_REALM));
+    res.json({ absences: absences.sort(byFromDesc) });
+  });
+  // { status: 'approved'|'denied', note? }
+  router.post('/absences/:id/decision', express.json(), requireRole('officer'), (req, res) => {
+    const { status, note = '' } = req.body || {};
+    if (!['approved', 'denied'].includes(status)) return res.status(400).json({ error: 'status must be approved or denied' });
+    const prev = store.read('absences').find(a => a.id === req.params.id);
+    if (!prev) return res.status(404).json({ error: 'not found' });
+    const decided = { ...prev, status, decidedBy: req.identity.name, decidedAt: new Date().toISOString(), decisionNote: String(note || '') };
+    store.update('absences', list => list.map(a => (a.id === prev.id ? decided : a)), auditMeta(req, status === 'approved' ? 'approve absence' : 'deny absence'));
+    if (prev.status === 'approved' || status === 'approved') requestReaggregate('absence decision');
+    res.json({ ok: true, absence: decided });
+  });
+  router.delete('/absences/:id', requireRole('officer'), (req, res) => {
+    const absence = store.read('absences').find(a => a.id === req.params.id);
+    if (!absence) return res.status(404).json({ error: 'not found' });
+    store.update('absences', list => list.filter(a => a.id !== absence.id), auditMeta(req, 'remove absence'));
+    if (absence.status === 'approved') requestReaggregate('remove absence');
+    res.json({ ok: true });
+  });
 
-export default router;
+  // Per-player links. The token is returned once; issuing again replaces it.
+  router.get('/absence-links', requireRole('officer'), (_req, res) => {
+    const links = Object.entries(store.read('absenceLinks')).map(([name, l]) => ({ name, createdAt: l.createdAt, createdBy: l.createdBy }));
+    res.json({ links: links.sort((a, b) => a.name.localeCompare(b.name)) });
+  });
+  router.post('/absence-links', express.json(), requireRole('officer'), (req, res) => {
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const { token, tokenHash } = newLinkToken();
+    store.update('absenceLinks', links => {
+      const prev = findKey(links, name, HOME_REALM);
+      if (prev != null) delete links[prev];
+      links[nameOf(name)] = { tokenHash, createdAt: new Date().toISOString(), createdBy: req.identity.name };
+      return links;
+    }, auditMeta(req, 'absence link'));
+    res.status(201).json({
+      name: nameOf(name),
+      token,
+      path: `/absence.html?team=${encodeURIComponent(team.id)}&token=${encodeURIComponent(token)}`,
+      warnings: unknownNameWarnings([nameOf(name)], knownCharacters())
+    });
+  });
+  router.delete('/absence-links', express.json(), requireRole('officer'), (req, res) => {
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const key = findKey(store.read('absenceLinks'), name, HOME_REALM);
+    if (key == null) return res.status(404).json({ error: 'not found' });
+    store.update('absenceLinks', links => {
+      delete links[key];
+      return links;
+    }, auditMeta(req, 'revoke absence link'));
+    res.json({ ok: true });
+  });
+
+  // -------- Attendance policy (see lib/policy.js) --------
+  router.get('/policy', (_req, res) => {
+    res.json(store.read('policy'));
+  });
+  router.put('/policy', express.json(), requireRole('admin'), (req, res) => {
+    const current = store.read('policy');
+    let policy;
+    try { policy = normalizePolicy({ ...current, ...req.body }); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('policy', policy, auditMeta(req, 'policy'));
+    requestReaggregate('policy');
+    res.json({ ok: true, ...policy });
+  });
+  // Score the window (same ?season= / ?from=&to= / ?weeks= as /latest) with a
+  // candidate policy, without saving it. Body: a full or partial policy, merged
+  // over the stored one like PUT. `changes` = rows whose score or status moves.
+  router.post('/policy/preview', express.json(), requireRole('admin'), async (req, res, next) => {
+    try {
+      const window = windowFromQuery(req, res);
+      if (!window) return;
+      const stored = store.read('policy');
+      let policy;
+      try { policy = normalizePolicy({ ...stored, ...req.body }); }
+      catch (e) { return res.status(400).json({ error: e.message }); }
+      const [current, preview] = await Promise.all([
+        computePayload(window, { offline: true }),
+        computePayload(window, { offline: true, policy })
+      ]);
+      const before = new Map(current.rows.map(r => [r.name, r]));
+      const changes = preview.rows
+        .map(r => ({ name: r.name, before: before.get(r.name), after: r }))
+        .filter(({ before: b, after: a }) => !b || b.score !== a.score || b.status !== a.status || b.possible !== a.possible)
+        .map(({ name, before: b, after: a }) => ({
+          name,
+          score: { before: b?.score ?? null, after: a.score },
+          status: { before: b?.status ?? null, after: a.status }
+        }));
+      res.json({
+        window: preview.window,
+        policy,
+        nightWeights: preview.nightWeights,
+        rows: preview.rows.map(({ name, attended, possible, pct, score, status }) => ({ name, attended, possible, pct, score, status })),
+        changes
+      });
+    } catch (e) { next(e); }
+  });
+
+  // -------- Alt→Main (history + delete) --------
+  router.get('/alt-map', (_req, res) => {
+    const map = store.read('altMap'); // { alt: main }
+    const links = Object.entries(map).map(([alt, main]) => ({ alt, main }));
+    links.sort((a, b) => a.alt.localeCompare(b.alt));
+    res.json({ links });
+  });
+  // Chains flatten to the root main; cycles are rejected; unknown names only warn
+  router.post('/alt-map', express.json(), requireRole('officer'), (req, res) => {
+    const { alt, main } = req.body || {};
+    if (!alt || !main) return res.status(400).json({ error: 'alt and main required' });
+    const map = store.read('altMap');
+    let linked;
+    try { linked = linkAlt(map, nameOf(alt), nameOf(main)); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('altMap', linked.map, auditMeta(req, 'alt link'));
+    const root = linked.main;
+    requestReaggregate('alt link');
+    res.json({ ok: true, alt: nameOf(alt), main: root, warnings: unknownNameWarnings([nameOf(alt), root], knownCharacters()) });
+  });
+  router.delete('/alt-map', express.json(), requireRole('officer'), (req, res) => {
+    const { alt } = req.body || {};
+    if (!alt) return res.status(400).json({ error: 'alt required' });
+    store.update('altMap', map => {
+      const key = findKey(map, alt, HOME_REALM);
+      if (key != null) delete map[key];
+      return map;
+    }, auditMeta(req, 'remove alt link'));
+    requestReaggregate('remove alt link');
+    res.json({ ok: true });
+  });
+
+  // Proposed links from log history (see lib/altMap.js); accept = POST /alt-map
+  router.get('/alt-suggestions', requireRole('officer'), (_req, res) => {
+    const schedule = store.read('schedule');
+    const ident = identity();
+    const shown = new Map();        // identity key -> current name
+    const nightsByChar = new Map(); // current name -> Set<dateKey>
+    for (const r of listCachedReports(0, Date.now(), guildKey(GUILD))) {
+      const dkey = nightKeyFor(r.startTime, schedule, TIMEZONE);
+      if (!dkey) continue;
+      for (const n of r.players || []) {
+        const c = ident.current(n);
+        if (!shown.has(ident.key(c))) shown.set(ident.key(c), c);
+        const name = shown.get(ident.key(c));
+        if (!nightsByChar.has(name)) nightsByChar.set(name, new Set());
+        nightsByChar.get(name).add(dkey);
+      }
+    }
+    const dismissed = new Set(Object.keys(store.read('altDismissed')));
+    res.json({ suggestions: suggestAltLinks(nightsByChar, flattenAltMap(store.read('altMap')), dismissed) });
+  });
+  router.post('/alt-suggestions/dismiss', express.json(), requireRole('officer'), (req, res) => {
+    const { alt, main } = req.body || {};
+    if (!alt || !main) return res.status(400).json({ error: 'alt and main required' });
+    store.update('altDismissed', d => ({ ...d, [suggestionKey(alt, main)]: { alt, main, at: new Date().toISOString() } }),
+      auditMeta(req, 'dismiss alt suggestion'));
+    res.json({ ok: true });
+  });
+
+  // -------- Character renames (history merges under the new name) --------
+  router.get('/renames', (_req, res) => {
+    const r = store.read('renames'); // { oldName: newName }
+    const renames = Object.entries(r).map(([from, to]) => ({ from, to }));
+    renames.sort((a, b) => a.from.localeCompare(b.from));
+    res.json({ renames });
+  });
+  // { from, to }: a chain (A→B, then B→C) flattens to the latest name; loops are rejected
+  router.post('/rename', express.json(), requireRole('officer'), (req, res) => {
+    const { from, to } = req.body || {};
+    if (!from || !to) return res.status(400).json({ error: 'from and to required' });
+    const renames = store.read('renames');
+    let recorded;
+    try { recorded = recordRename(renames, nameOf(from), nameOf(to), HOME_REALM); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('renames', recorded.renames, auditMeta(req, 'rename'));
+    requestReaggregate('rename');
+    res.json({ ok: true, from: nameOf(from), to: recorded.to, warnings: unknownNameWarnings([nameOf(from)], knownCharacters()) });
+  });
+  router.delete('/rename', express.json(), requireRole('officer'), (req, res) => {
+    const { from } = req.body || {};
+    if (!from) return res.status(400).json({ error: 'from required' });
+    const key = findKey(store.read('renames'), from, HOME_REALM);
+    if (key == null) return res.status(404).json({ error: 'not found' });
+    store.update('renames', r => {
+      delete r[key];
+      return r;
+    }, auditMeta(req, 'remove rename'));
+    requestReaggregate('remove rename');
+    res.json({ ok: true });
+  });
+
+  // ---- IMPORT / EXPORT (safe, no undefined state) ----
+  router.get('/export', requireRole('viewer'), (_req, res) => {
+    const overrides = store.read('overrides');      // object
+    const altMap = store.read('altMap');            // object
+    const excluded = store.read('excluded');        // array
+    const bench = store.read('bench');              // object
+    const renames = store.read('renames');          // object
+    res.json({ overrides, altMap, excluded, bench, renames });
+  });
+
+  router.post('/import', express.json(), requireRole('admin'), (req, res) => {
+    try {
+      const { overrides, altMap, excluded, bench, renames } = req.body || {};
+      const incoming = {};
+      if (overrides && typeof overrides === 'object') incoming.overrides = overrides;
+      if (altMap && typeof altMap === 'object') incoming.altMap = altMap;
+      if (Array.isArray(excluded)) incoming.excluded = excluded;
+      if (bench && typeof bench === 'object' && !Array.isArray(bench)) incoming.bench = bench;
+      if (renames && typeof renames === 'object' && !Array.isArray(renames)) incoming.renames = renames;
+      // Validate everything first so a bad section can't leave a half-applied import
+      for (const [kind, data] of Object.entries(incoming)) {
+        try { store.validate(kind, data); }
+        catch (e) { return res.status(400).json({ error: `${kind}: ${e.message}` }); }
+      }
+      if (incoming.altMap) incoming.altMap = flattenAltMap(incoming.altMap);
+      store.writeMany(incoming, auditMeta(req, 'import'));
+      // Recompute cache after import
+      requestReaggregate('import');
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(400).json({ error: err?.message || String(err) });
+    }
+  });
+
+  return { router, store, knownCharacters, requestRefresh, requestReaggregate, startRefreshScheduler };
+}
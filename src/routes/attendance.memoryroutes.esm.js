@@ -1,43 +1,46 @@
 /**
  * attendance.memoryroutes.esm.js
- * ESM router: in-memory state + optional snapshot + **mirror to legacy files**
- * so your legacy /refresh sees admin changes.
+ * ESM router: admin/state endpoints in the array shapes the admin UI uses,
+ * backed by the same storage layer (lib/storage.js) as the legacy router.
  *
- * Legacy file expectations from storage.js:
- *   ./data/attendance_overrides.json   // { [dateKey]: { [name]: fractional } }
- *   ./data/alt_map.json                // { [altName]: mainName }
- * (No excluded file defined in storage.js)
+ * There is no separate in-memory copy any more: every request reads and
+ * writes the team's store, so edits made through either router are seen by
+ * the other and by /refresh immediately.
  *
- * Optional: we also write ./data/excluded_dates.json (array) for future use,
- * but legacy /refresh must be patched to read/apply it.
+ * Every mutation (from either router) lands in the team's audit log; browse
+ * it with GET /audit and undo with POST /audit/revert.
+ *
+ * Wire shapes (this router)            Stored shapes (storage.js)
+ *   overrides [{dateKey,name,fractional}]  { [dateKey]: { [name]: fractional } }
+ *   links     [{alt,main}]                 { [altName]: mainName }
+ *   dates     [{dateKey,reason?}]          [{ dateKey, reason? }]
+ *   bench     [{dateKey,name,credit,note}] { [dateKey]: { [name]: { credit, note } } }
+ *   renames   [{from,to}]                  { [oldName]: newName }
+ *
+ * Names match by character identity (case, diacritics, home realm; see
+ * lib/identity.js), the same rule as the legacy router and the computed rows.
  */
 
 import { Router, json as jsonParser } from 'express';
 import fs from 'fs';
-import path from 'path';
-
-const fsp = fs.promises;
+import { createStore } from '../lib/storage.js';
+import { linkAlt, flattenAltMap, unknownNameWarnings } from '../lib/altMap.js';
+import { canonicalName, findKey as findCharKey } from '../lib/identity.js';
+import { auditMeta } from '../lib/audit.js';
+import { requireRole, hasRole } from '../lib/accounts.js';
 
 // ---------- Helpers ----------
-async function ensureDir(dir) {
-  if (!dir) return;
-  try { await fsp.mkdir(dir, { recursive: true }); } catch {}
-}
-
-async function writeJSON(filepath, data) {
-  await ensureDir(path.dirname(filepath));
-  await fsp.writeFile(filepath, JSON.stringify(data, null, 2), 'utf-8');
-}
-
 function normalizeStateShape(obj) {
   return {
     overrides: Array.isArray(obj?.overrides) ? obj.overrides : [], // [{dateKey,name,fractional}]
     links:     Array.isArray(obj?.links)     ? obj.links     : [], // [{alt,main}]
     dates:     Array.isArray(obj?.dates)     ? obj.dates     : [], // [{dateKey,reason?}]
+    bench:     Array.isArray(obj?.bench)     ? obj.bench     : [], // [{dateKey,name,credit?,note?}]
+    renames:   Array.isArray(obj?.renames)   ? obj.renames   : [], // [{from,to}]
   };
 }
 
-// Convert memory state → legacy file shapes
+// Convert wire arrays → stored shapes
 function toLegacyOverrides(overridesArr) {
   // [{dateKey,name,fractional}] -> { [dateKey]: { [name]: fractional } }
   const out = {};
@@ -62,60 +65,105 @@ function toLegacyAltMap(linksArr) {
   return out;
 }
 
-export default function memoryRoutes(opts = {}) {
-  const ADMIN_TOKEN  = (opts.adminToken  ?? process.env.ATTEND_ADMIN_TOKEN ?? '').trim();
-  const PERSIST_FILE = (opts.persistFile ?? process.env.LOCAL_STATE_PATH   ?? '').trim();
+function toLegacyBench(benchArr) {
+  // [{dateKey,name,credit?,note?}] -> { [dateKey]: { [name]: { credit, note } } }
+  // credit null = use the server default (BENCH_CREDIT)
+  const out = {};
+  for (const { dateKey, name, credit, note } of benchArr) {
+    if (!dateKey || !name) continue;
+    const cr = credit == null || credit === '' ? null : Number(credit);
+    out[String(dateKey)] ??= {};
+    out[String(dateKey)][String(name)] = { credit: Number.isNaN(cr) ? null : cr, note: note ? String(note) : '' };
+  }
+  return out;
+}
 
-  // Mirror to the same dir/file names your storage.js uses:
-  const LEGACY_DIR = (process.env.LEGACY_DATA_DIR ?? './data').trim();
-  const LEGACY_PATHS = {
-    overrides: path.join(LEGACY_DIR, 'attendance_overrides.json'),
-    links:     path.join(LEGACY_DIR, 'alt_map.json'),
-    // Not used by legacy yet, but we write it for future:
-    dates:     path.join(LEGACY_DIR, 'excluded_dates.json'),
-  };
+function toLegacyRenames(renamesArr) {
+  // [{from,to}] -> { [from]: to }
+  const out = {};
+  for (const { from, to } of renamesArr) {
+    if (!from || !to) continue;
+    out[String(from)] = String(to);
+  }
+  return out;
+}
 
-  /** In-memory state (used by admin export/import) */
-  const state = { overrides: [], links: [], dates: [] };
+function toLegacyDates(datesArr) {
+  return datesArr
+    .filter(d => d && d.dateKey)
+    .map(d => ({ dateKey: String(d.dateKey), reason: d.reason ? String(d.reason) : null }));
+}
 
-  // ---------- Persistence (optional snapshot of WHOLE state) ----------
-  async function maybeLoadPersist() {
-    if (!PERSIST_FILE) return;
-    try {
-      const txt = await fsp.readFile(PERSIST_FILE, 'utf-8');
-      Object.assign(state, normalizeStateShape(JSON.parse(txt)));
-    } catch {
-      // ok if missing/invalid
-    }
-  }
-  async function maybeSavePersist() {
-    if (!PERSIST_FILE) return;
-    await writeJSON(PERSIST_FILE, state);
-  }
+// /import body section -> storage kind, converter
+const IMPORT_SECTIONS = [
+  ['overrides', 'overrides', toLegacyOverrides],
+  ['links',     'altMap',    toLegacyAltMap],
+  ['dates',     'excluded',  toLegacyDates],
+  ['bench',     'bench',     toLegacyBench],
+  ['renames',   'renames',   toLegacyRenames],
+];
 
-  // Mirror to legacy files/shape so legacy /refresh reads latest admin changes
-  async function mirrorToLegacy() {
-    const legacyOverrides = toLegacyOverrides(state.overrides);
-    const legacyAltMap    = toLegacyAltMap(state.links);
-    // dates remain as array; legacy /refresh must be updated to read/apply if desired
-    await Promise.all([
-      writeJSON(LEGACY_PATHS.overrides, legacyOverrides),
-      writeJSON(LEGACY_PATHS.links,     legacyAltMap),
-      writeJSON(LEGACY_PATHS.dates,     state.dates),
-    ]);
-  }
+// ...and stored shapes → wire arrays
+function fromLegacyOverrides(o) {
+  return Object.entries(o).flatMap(([dateKey, names]) =>
+    Object.entries(names).map(([name, fractional]) => ({ dateKey, name, fractional })));
+}
+function fromLegacyAltMap(map) {
+  return Object.entries(map).map(([alt, main]) => ({ alt, main }));
+}
+function fromLegacyRenames(r) {
+  return Object.entries(r).map(([from, to]) => ({ from, to }));
+}
+function fromLegacyBench(b) {
+  return Object.entries(b).flatMap(([dateKey, names]) =>
+    Object.entries(names).map(([name, e]) => ({ dateKey, name, credit: e?.credit ?? null, note: e?.note || '' })));
+}
+
+const byDateDescThenName = (a, b) => (a.dateKey === b.dateKey)
+  ? String(a.name).localeCompare(String(b.name))
+  : String(b.dateKey).localeCompare(String(a.dateKey));
 
-  async function saveAll() {
-    await Promise.all([maybeSavePersist(), mirrorToLegacy()]);
+export default function memoryRoutes(opts = {}) {
+  // Old whole-state snapshot; imported once into an empty store, then unused
+  const PERSIST_FILE = (opts.persistFile ?? process.env.LOCAL_STATE_PATH   ?? '').trim();
+  // Called after every saved mutation so cached attendance gets re-aggregated
+  const onChange     = typeof opts.onChange === 'function' ? opts.onChange : () => {};
+  const store        = opts.store ?? createStore(opts.legacyDir ?? process.env.LEGACY_DATA_DIR ?? undefined);
+  // Identity keys of characters seen in logs, for alt-link warnings (none known = no warnings)
+  const knownNames   = typeof opts.knownNames === 'function' ? opts.knownNames : null;
+  // The team's realm; names are matched and stored as in lib/identity.js
+  const homeRealm    = opts.homeRealm ?? null;
+  const nameOf       = (n) => canonicalName(n, homeRealm);
+  const findKey      = (obj, name) => findCharKey(obj, name, homeRealm);
+
+  function readState() {
+    return {
+      overrides: fromLegacyOverrides(store.read('overrides')),
+      links:     fromLegacyAltMap(store.read('altMap')),
+      dates:     store.read('excluded'),
+      bench:     fromLegacyBench(store.read('bench')),
+      renames:   fromLegacyRenames(store.read('renames')),
+    };
   }
 
-  // ---------- Auth ----------
-  function requireAuth(req, res, next) {
-    const header = String(req.headers['authorization'] || '');
-    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
-    if (!ADMIN_TOKEN) return res.status(401).json({ error: 'Server missing ATTEND_ADMIN_TOKEN' });
-    if (!token || token !== ADMIN_TOKEN) return res.status(403).json({ error: 'Forbidden' });
-    next();
+  // ---------- One-time import of a LOCAL_STATE_PATH snapshot ----------
+  function maybeImportPersist() {
+    if (!PERSIST_FILE || !fs.existsSync(PERSIST_FILE)) return;
+    try {
+      const cur = readState();
+      if (cur.overrides.length || cur.links.length || cur.dates.length || cur.bench.length || cur.renames.length) return;
+      const inc = normalizeStateShape(JSON.parse(fs.readFileSync(PERSIST_FILE, 'utf-8')));
+      store.writeMany({
+        overrides: toLegacyOverrides(inc.overrides),
+        altMap:    toLegacyAltMap(inc.links),
+        excluded:  toLegacyDates(inc.dates),
+        bench:     toLegacyBench(inc.bench),
+        renames:   toLegacyRenames(inc.renames),
+      }, { actor: 'system', action: 'import snapshot', note: PERSIST_FILE });
+      console.log(`Imported admin state snapshot ${PERSIST_FILE} into ${store.dir}`);
+    } catch (e) {
+      console.error(`Skipped admin state snapshot ${PERSIST_FILE}: ${e.message}`);
+    }
   }
 
   // ---------- Router ----------
@@ -125,108 +173,193 @@ export default function memoryRoutes(opts = {}) {
   r.get('/health', (_req, res) => res.json({ status: 'ok' }));
 
   // Admin export/import of full state
-  r.get('/state', (_req, res) => {
-    res.json({ overrides: state.overrides, links: state.links, dates: state.dates });
-  });
-  r.post('/import', requireAuth, async (req, res) => {
-    const inc = normalizeStateShape(req.body || {});
-    state.overrides = inc.overrides;
-    state.links     = inc.links;
-    state.dates     = inc.dates;
-    await saveAll();
+  r.get('/state', requireRole('viewer'), (_req, res) => {
+    res.json(readState());
+  });
+  // Only the sections present in the body are replaced: an older backup
+  // without e.g. `bench` or `renames` leaves those as they are
+  r.post('/import', requireRole('admin'), (req, res) => {
+    const inc = req.body || {};
+    const next = {};
+    for (const [section, kind, convert] of IMPORT_SECTIONS) {
+      if (Array.isArray(inc[section])) next[kind] = convert(inc[section]);
+    }
+    if (!Object.keys(next).length) {
+      return res.status(400).json({ error: `nothing to import (expected ${IMPORT_SECTIONS.map(s => s[0]).join(', ')})` });
+    }
+    // Validate everything first so a bad section can't leave a half-applied import
+    for (const [kind, data] of Object.entries(next)) {
+      try { store.validate(kind, data); }
+      catch (e) { return res.status(400).json({ error: `${kind}: ${e.message}` }); }
+    }
+    if (next.altMap) next.altMap = flattenAltMap(next.altMap);
+    store.writeMany(next, auditMeta(req, 'import'));
+    onChange('import');
     res.json({ ok: true });
   });
 
   // ----- Overrides -----
   r.get('/overrides', (_req, res) => {
-    const sorted = [...state.overrides]
-      .sort((a, b) => (a.dateKey === b.dateKey)
-        ? String(a.name).localeCompare(String(b.name))
-        : String(b.dateKey).localeCompare(String(a.dateKey)));
-    res.json({ overrides: sorted });
+    res.json({ overrides: fromLegacyOverrides(store.read('overrides')).sort(byDateDescThenName) });
   });
-  r.post('/override', requireAuth, async (req, res) => {
+  r.post('/override', requireRole('officer'), (req, res) => {
     const { dateKey, name } = req.body || {};
     let { fractional } = req.body || {};
     fractional = Number(fractional);
     if (!dateKey || !name || Number.isNaN(fractional)) {
       return res.status(400).json({ error: 'dateKey, name, fractional required' });
     }
-    const dk = String(dateKey), nm = String(name);
-    const idx = state.overrides.findIndex(o =>
-      String(o.dateKey) === dk && String(o.name).toLowerCase() === nm.toLowerCase()
-    );
-    const row = { dateKey: dk, name: nm, fractional };
-    if (idx >= 0) state.overrides[idx] = row; else state.overrides.push(row);
-    await saveAll();
+    const dk = String(dateKey), nm = nameOf(name);
+    store.update('overrides', o => {
+      const night = (o[dk] ||= {});
+      const prev = findKey(night, nm);
+      if (prev != null) delete night[prev];
+      night[nm] = fractional;
+      return o;
+    }, auditMeta(req, 'override'));
+    onChange('override');
     res.json({ ok: true });
   });
-  r.delete('/override', requireAuth, async (req, res) => {
+  r.delete('/override', requireRole('officer'), (req, res) => {
     const { dateKey, name } = req.body || {};
     if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
-    const before = state.overrides.length;
-    state.overrides = state.overrides.filter(o =>
-      !(String(o.dateKey) === String(dateKey) &&
-        String(o.name).toLowerCase() === String(name).toLowerCase())
-    );
-    if (state.overrides.length === before) return res.status(404).json({ error: 'not found' });
-    await saveAll();
+    const dk = String(dateKey);
+    if (findKey(store.read('overrides')[dk], name) == null) return res.status(404).json({ error: 'not found' });
+    store.update('overrides', o => {
+      delete o[dk][findKey(o[dk], name)];
+      if (!Object.keys(o[dk]).length) delete o[dk];
+      return o;
+    }, auditMeta(req, 'remove override'));
+    onChange('remove override');
     res.json({ ok: true });
   });
 
   // ----- Alt map -----
   r.get('/alt-map', (_req, res) => {
-    const sorted = [...state.links].sort((a, b) => String(a.alt).localeCompare(String(b.alt)));
+    const sorted = fromLegacyAltMap(store.read('altMap')).sort((a, b) => String(a.alt).localeCompare(String(b.alt)));
     res.json({ links: sorted });
   });
-  r.post('/alt-map', requireAuth, async (req, res) => {
+  r.post('/alt-map', requireRole('officer'), (req, res) => {
     const { alt, main } = req.body || {};
     if (!alt || !main) return res.status(400).json({ error: 'alt and main required' });
-    const a = String(alt), m = String(main);
-    const idx = state.links.findIndex(l => String(l.alt).toLowerCase() === a.toLowerCase());
-    const row = { alt: a, main: m };
-    if (idx >= 0) state.links[idx] = row; else state.links.push(row);
-    await saveAll();
-    res.json({ ok: true });
+    const a = nameOf(alt);
+    // linkAlt replaces another spelling's existing link, flattens chains and rejects cycles
+    const map = store.read('altMap');
+    let linked;
+    try { linked = linkAlt(map, a, nameOf(main)); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    store.write('altMap', linked.map, auditMeta(req, 'alt link'));
+    const root = linked.main;
+    onChange('alt link');
+    res.json({ ok: true, alt: a, main: root, warnings: knownNames ? unknownNameWarnings([a, root], knownNames()) : [] });
   });
-  r.delete('/alt-map', requireAuth, async (req, res) => {
+  r.delete('/alt-map', requireRole('officer'), (req, res) => {
     const { alt } = req.body || {};
     if (!alt) return res.status(400).json({ error: 'alt required' });
-    const before = state.links.length;
-    state.links = state.links.filter(l => String(l.alt).toLowerCase() !== String(alt).toLowerCase());
-    if (state.links.length === before) return res.status(404).json({ error: 'not found' });
-    await saveAll();
+    if (findKey(store.read('altMap'), alt) == null) return res.status(404).json({ error: 'not found' });
+    store.update('altMap', map => {
+      delete map[findKey(map, alt)];
+      return map;
+    }, auditMeta(req, 'remove alt link'));
+    onChange('remove alt link');
     res.json({ ok: true });
   });
 
-  // ----- Excluded dates (admin-visible; legacy /refresh must be taught to use it) -----
+  // ----- Excluded dates -----
   r.get('/excluded', (_req, res) => {
-    const sorted = [...state.dates].sort((a, b) => String(b.dateKey).localeCompare(String(a.dateKey)));
+    const sorted = [...store.read('excluded')].sort((a, b) => String(b.dateKey).localeCompare(String(a.dateKey)));
     res.json({ dates: sorted });
   });
-  r.post('/excluded', requireAuth, async (req, res) => {
+  r.post('/excluded', requireRole('officer'), (req, res) => {
     const { dateKey, reason } = req.body || {};
     if (!dateKey) return res.status(400).json({ error: 'dateKey required' });
     const dk = String(dateKey);
-    const idx = state.dates.findIndex(d => String(d.dateKey) === dk);
     const row = { dateKey: dk, reason: reason ? String(reason) : null };
-    if (idx >= 0) state.dates[idx] = row; else state.dates.push(row);
-    await saveAll();
+    store.update('excluded', dates => {
+      const idx = dates.findIndex(d => String(d.dateKey) === dk);
+      if (idx >= 0) dates[idx] = row; else dates.push(row);
+      return dates;
+    }, auditMeta(req, 'exclude date'));
+    onChange('exclude date');
     res.json({ ok: true });
   });
-  r.delete('/excluded', requireAuth, async (req, res) => {
+  r.delete('/excluded', requireRole('officer'), (req, res) => {
     const { dateKey } = req.body || {};
     if (!dateKey) return res.status(400).json({ error: 'dateKey required' });
-    const before = state.dates.length;
-    state.dates = state.dates.filter(d => String(d.dateKey) !== String(dateKey));
-    if (state.dates.length === before) return res.status(404).json({ error: 'not found' });
-    await saveAll();
+    if (!store.read('excluded').some(d => String(d.dateKey) === String(dateKey))) {
+      return res.status(404).json({ error: 'not found' });
+    }
+    store.update('excluded', dates => dates.filter(d => String(d.dateKey) !== String(dateKey)), auditMeta(req, 'unexclude date'));
+    onChange('unexclude date');
+    res.json({ ok: true });
+  });
+
+  // ----- Bench / standby (credited without appearing in logs) -----
+  r.get('/bench', (_req, res) => {
+    res.json({ bench: fromLegacyBench(store.read('bench')).sort(byDateDescThenName) });
+  });
+  r.post('/bench', requireRole('officer'), (req, res) => {
+    const { dateKey, name, note } = req.body || {};
+    let { credit } = req.body || {};
+    credit = credit == null || credit === '' ? null : Number(credit);
+    if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
+    if (credit != null && (Number.isNaN(credit) || credit < 0 || credit > 1)) {
+      return res.status(400).json({ error: 'credit must be between 0 and 1 (omit for the default)' });
+    }
+    const dk = String(dateKey), nm = nameOf(name);
+    store.update('bench', b => {
+      const night = (b[dk] ||= {});
+      const prev = findKey(night, nm);
+      if (prev != null) delete night[prev];
+      night[nm] = { credit, note: note ? String(note) : '' };
+      return b;
+    }, auditMeta(req, 'bench'));
+    onChange('bench');
+    res.json({ ok: true });
+  });
+  r.delete('/bench', requireRole('officer'), (req, res) => {
+    const { dateKey, name } = req.body || {};
+    if (!dateKey || !name) return res.status(400).json({ error: 'dateKey and name required' });
+    const dk = String(dateKey);
+    if (findKey(store.read('bench')[dk], name) == null) return res.status(404).json({ error: 'not found' });
+    store.update('bench', b => {
+      delete b[dk][findKey(b[dk], name)];
+      if (!Object.keys(b[dk]).length) delete b[dk];
+      return b;
+    }, auditMeta(req, 'unbench'));
+    onChange('unbench');
     res.json({ ok: true });
   });
 
+  // ----- Audit log (every change made through either router) -----
+  // ?actor=&action=&kind=&name=&from=&to=&limit=
+  r.get('/audit', requireRole('viewer'), (req, res) => {
+    res.json({ entries: store.audit.list(req.query) });
+  });
+  // { id, force? } undoes one entry (officer); { to: ISO time } rolls everything after it back (admin)
+  r.post('/audit/revert', requireRole('officer'), (req, res) => {
+    const { id, to, force } = req.body || {};
+    if (to != null) {
+      if (!hasRole(req.identity, 'admin')) return res.status(403).json({ error: 'forbidden: admin role required' });
+      const ts = new Date(String(to));
+      if (Number.isNaN(ts.getTime())) return res.status(400).json({ error: 'to must be a date/time' });
+      const { entry, undone } = store.revertTo(ts.toISOString(), auditMeta(req, 'revert'));
+      if (entry) onChange('revert');
+      return res.json({ ok: true, undone, entry });
+    }
+    if (id == null) return res.status(400).json({ error: 'id or to required' });
+    const result = store.revert(id, auditMeta(req, 'revert'), { force: !!force });
+    if (!result) return res.status(404).json({ error: 'not found' });
+    if (result.conflicts.length && !force) {
+      return res.status(409).json({ error: 'changed since; pass force to revert anyway', conflicts: result.conflicts });
+    }
+    if (result.entry) onChange('revert');
+    res.json({ ok: true, entry: result.entry });
+  });
+
   // ---------- Startup ----------
-  void ensureDir(LEGACY_DIR);
-  void maybeLoadPersist();
+  store.ensureFiles();
+  maybeImportPersist();
 
   return r;
 }
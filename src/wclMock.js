@@ -0,0 +1,40 @@
+// Local stand-in for the WCL endpoints, serving recorded fixtures.
+//
+//   npm run wcl:mock                       # listens on WCL_MOCK_PORT (default 4100)
+//   WCL_BASE_URL=http://localhost:4100 npm start
+//
+// Fixtures come from WCL_FIXTURES_DIR (default ./fixtures/wcl), recorded with
+// WCL_MODE=record. Unknown queries get a GraphQL error, like WCL would.
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lookupFixture, fixtureName } from './lib/wclFixtures.js';
+
+export function createWclMock(dir) {
+  const app = express();
+
+  app.post('/oauth/token', express.urlencoded({ extended: false }), (_req, res) => {
+    const hit = lookupFixture(dir, null);
+    res.status(hit.status).json(hit.body);
+  });
+
+  app.post('/api/v2/client', express.json({ limit: '1mb' }), (req, res) => {
+    if (!String(req.get('authorization') || '').startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Unauthenticated.' });
+    }
+    const hit = lookupFixture(dir, req.body || {});
+    if (!hit) return res.json({ errors: [{ message: `no fixture ${fixtureName(req.body || {})}` }] });
+    res.status(hit.status).json(hit.body);
+  });
+
+  return app;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const dir = path.resolve(process.env.WCL_FIXTURES_DIR || './fixtures/wcl');
+  const port = Number(process.env.WCL_MOCK_PORT || 4100);
+  createWclMock(dir).listen(port, () => {
+    console.log(`WCL mock listening on http://localhost:${port} (fixtures: ${dir})`);
+  });
+}
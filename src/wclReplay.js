@@ -0,0 +1,76 @@
+// Runs a refresh against a recorded WCL fixture set, with no network, and
+// compares the attendance it produces with the set's expected.json.
+//
+//   npm run wcl:replay                          # fixtures/replay
+//   npm run wcl:replay -- <dir>                 # another recorded set
+//   npm run wcl:replay -- <dir> --update        # (re)write <dir>/expected.json from this run
+//   npm run wcl:replay -- <dir> --record        # fetch from WCL (WCL_BASE_URL, WCL_CLIENT_*),
+//                                               # write the fixtures, then expected.json
+//
+// <dir>/replay.json says what to run:
+//   { team: { guildName, serverSlug, region, timezone }, window: { from, to } }
+// The window must lie in the past (see lib/wclFixtures.js). Everything runs in a scratch DATA_DIR, so ./data is never read or written.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const args = process.argv.slice(2);
+const record = args.includes('--record');
+const update = record || args.includes('--update');
+const here = path.dirname(fileURLToPath(import.meta.url));
+const dir = path.resolve(args.find(a => !a.startsWith('--')) || path.join(here, '../fixtures/replay'));
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-replay-'));
+
+// .env only for recording (WCL credentials): a replay must not depend on local
+// tuning such as INFER_JOIN_DATES or BENCH_CREDIT
+if (record) await import('dotenv/config');
+// Read at import time by lib/wcl.js and lib/storage.js, so set before loading them
+Object.assign(process.env, { WCL_MODE: record ? 'record' : 'replay', WCL_FIXTURES_DIR: dir, DATA_DIR: scratch });
+
+const { createAttendance } = await import('./routes/attendance.js');
+const { normalizeTeam } = await import('./lib/teams.js');
+const { resolveWindow } = await import('./lib/windows.js');
+
+// What a replay must reproduce: nights and per-player numbers, not timings
+function summarize(payload) {
+  return {
+    window: payload.window,
+    nights: payload.nights,
+    reports: payload.inputs.reports,
+    rows: payload.rows.map(({ name, class: cls, role, attended, possible, pct, score, status }) => (
+      { name, class: cls, role, attended, possible, pct, score, status }
+    ))
+  };
+}
+
+let code = 0;
+try {
+  const replay = JSON.parse(fs.readFileSync(path.join(dir, 'replay.json'), 'utf-8'));
+  const attendance = createAttendance(normalizeTeam({ id: 'default', ...replay.team }));
+  attendance.store.ensureFiles();
+  const got = summarize(await attendance.requestRefresh(resolveWindow(replay.window), 'replay').done);
+  const expectedFile = path.join(dir, 'expected.json');
+
+  if (update) {
+    fs.writeFileSync(expectedFile, JSON.stringify(got, null, 2) + '\n', 'utf-8');
+    console.log(`wrote ${path.relative(process.cwd(), expectedFile)}: ${got.nights.length} night(s), ${got.rows.length} player(s)`);
+  } else {
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf-8'));
+    const problems = Object.keys(expected).filter(k => JSON.stringify(expected[k]) !== JSON.stringify(got[k]));
+    if (problems.length) {
+      code = 1;
+      console.error(`replay of ${dir} differs from expected.json in: ${problems.join(', ')}`);
+      for (const k of problems) console.error(`  ${k}\n    expected ${JSON.stringify(expected[k])}\n    got      ${JSON.stringify(got[k])}`);
+    } else {
+      console.log(`replay ok: ${got.nights.length} night(s), ${got.rows.length} player(s), reports ${got.reports.join(', ')}`);
+    }
+  }
+} catch (e) {
+  code = 1;
+  console.error(`replay failed: ${e.message}`);
+} finally {
+  fs.rmSync(scratch, { recursive: true, force: true });
+}
+process.exit(code);